@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+import { createReadStream } from "node:fs";
+import { parseArgs } from "node:util";
+import { getCesrValue, getCesrFrame, CesrSchemaProtocol } from "../docs/assets/common/modules/cesr-schema.js";
+import { ShortageError } from "../docs/assets/common/modules/cesr.js";
+import { DecoderTree, DecoderNode, DecoderState } from "../docs/assets/local/modules/decoder-tree.js";
+import { replacer, formatNode } from "../docs/assets/local/modules/decoder-format.js";
+
+const usage = `Usage: cesr-decode [options] [file]
+
+Decode CESR stream from file or stdin and print decoded values as an indented tree.
+
+Options:
+  -n, --non-interleaved  input is CESR values only, not JSON and CESR interleaved
+  -t, --tolerant         record decode errors and continue with next frame
+  -j, --json             print decoded values as JSON
+  -h, --help             print this help
+`;
+
+/**
+ * @param {DecoderNode[]} nodes
+ * @param {number} depth
+ */
+function printTree(nodes, depth) {
+    for (const node of nodes) {
+        process.stdout.write(`${"  ".repeat(depth)}${formatNode(node)}\n`);
+        printTree(node.children, depth + 1);
+    }
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs({
+            allowPositionals: true,
+            options: {
+                "non-interleaved": { type: "boolean", short: "n" },
+                "tolerant": { type: "boolean", short: "t" },
+                "json": { type: "boolean", short: "j" },
+                "help": { type: "boolean", short: "h" },
+            }
+        });
+    } catch (e) {
+        process.stderr.write(`${e.message}\n${usage}`);
+        return 2;
+    }
+    if (args.values.help) {
+        process.stdout.write(usage);
+        return 0;
+    }
+    if (args.positionals.length > 1) {
+        process.stderr.write(usage);
+        return 2;
+    }
+
+    const file = args.positionals[0] ?? "-";
+    const protocol = await CesrSchemaProtocol.load("Matter", "Counter", "OpCode");
+    // open file after loading code tables, read errors are thrown by the decoder loop
+    const input = file === "-" ? process.stdin : createReadStream(file);
+    const root = new DecoderNode();
+    const state = new DecoderState(root, args.values.tolerant ?? false);
+    state.currentFrame.valueGetter = args.values["non-interleaved"] ? getCesrValue : getCesrFrame;
+    const decoder = new DecoderTree(protocol);
+
+    let error = null;
+    try {
+        for await (const value of decoder.stream(state, input)) { }
+    } catch (e) {
+        error = e;
+    }
+
+    if (args.values.json) {
+        process.stdout.write(JSON.stringify(root.children, replacer, 2) + "\n");
+    } else {
+        printTree(root.children, 0);
+    }
+    if (error !== null) {
+        const message = error instanceof ShortageError ? `truncated input at byte ${state.base + state.start}` : error.message || String(error);
+        process.stderr.write(`CESR decode failed: ${message}\n`);
+        return 1;
+    }
+    for (const i of state.diagnostics) {
+        process.stderr.write(`CESR decode failed: bytes ${i.start}-${i.end}: ${i.error}\n`);
+    }
+    return state.diagnostics.length > 0 ? 1 : 0;
+}
+
+// stop quietly when output is piped to a command that exits early, like head
+process.stdout.on("error", e => {
+    if (e.code !== "EPIPE") throw e;
+    process.exit(process.exitCode ?? 0);
+});
+
+process.exitCode = await main();
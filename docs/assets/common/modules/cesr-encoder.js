@@ -0,0 +1,139 @@
+import { UnknownCodeError, getCesrValue, getCesrBinaryValue } from "./cesr.js";
+import { Base64 } from "../../local/modules/base64.js";
+
+/**
+ * Values of a primitive to encode
+ * @typedef {object} CesrEncodeParams
+ * @property {Uint8Array} [raw] - raw bytes of a Matter or Indexer primitive
+ * @property {number} [count] - count of a count code, as in the decoded header
+ * @property {number} [index] - index of an Indexer primitive
+ * @property {number} [ondex] - other index of an Indexer primitive, defaults to index
+ * @property {string} [version] - Base64 digits of a genus/version code
+ */
+
+/**
+ * Map code name from codex.json to the hard part of the code. A code is returned as is. A name of codes
+ * in many codices of the protocol, like Ed25519_Sig of Matter and Indexer, is ambiguous and throws.
+ * @param {CesrSchemaProtocol} protocol
+ * @param {string} code - code name or hard part of code
+ * @returns {string}
+ */
+function getHardCode(protocol, code) {
+    const codex = protocol.context.codex;
+    if (Object.values(codex).some(i => code in i)) return code;
+    const matches = [];
+    for (const [name, i] of Object.entries(codex)) {
+        for (const [k, v] of Object.entries(i)) {
+            if (v === code) matches.push({ name: name, hard: k });
+        }
+    }
+    if (matches.length > 1) {
+        throw new TypeError(`encodeCesrValue: code name ${code} is ambiguous in ${matches.map(i => `${i.name} ${i.hard}`).join(", ")}, encode with a protocol of one codex`);
+    }
+    if (matches.length === 0) throw new UnknownCodeError(`encodeCesrValue ${protocol.name}`, code);
+    return matches[0].hard;
+}
+
+/**
+ * Inverse of count multiplier of counter.json
+ * @param {CesrSchemaCodeTable} table
+ * @param {string} hard - hard part of code
+ * @param {number} count
+ * @returns {number}
+ */
+function getCountDigits(table, hard, count) {
+    if (count === undefined) throw new TypeError(`encodeCesrValue: count missing for code=${hard}`);
+    let digits;
+    switch (table.spec.counter?.count) {
+        case undefined:
+        case "*1": digits = count; break;
+        case "*2": digits = count / 2; break;
+        case "*3": digits = count / 3; break;
+        case "*4": digits = count / 4; break;
+        case "*2+1": digits = (count - 1) / 2; break;
+        default: throw new UnknownCodeError(`encodeCesrValue`, table.spec.counter.count);
+    }
+    if (!Number.isInteger(digits)) throw new TypeError(`encodeCesrValue: count ${count} invalid for code=${hard}`);
+    return digits;
+}
+
+/**
+ * Append raw bytes prepadded with lead bytes to code. The pad bits align raw bytes on a quadlet.
+ * @param {string} code - hard and soft part of code
+ * @param {Uint8Array} raw
+ * @param {number} ls - count of lead bytes
+ * @returns {string}
+ */
+function infil(code, raw, ls) {
+    const ps = (3 - (raw.length + ls) % 3) % 3;
+    const padded = new Uint8Array(ps + ls + raw.length);
+    padded.set(raw, ps + ls);
+    return code + Base64.encode(padded).slice(ps);
+}
+
+/**
+ * @param {CesrSchemaProtocol} protocol
+ * @param {string} code
+ * @param {CesrEncodeParams} params
+ * @returns {string}
+ */
+function encodeText(protocol, code, { raw, count, index, ondex, version } = {}) {
+    let hard = getHardCode(protocol, code);
+    let table = protocol.getCodeTable(hard);
+    if (table.isCounter) {
+        return hard + Base64.fromInt(getCountDigits(table, hard, count), table.spec.default_size.ss);
+    }
+    if (table.isVersion) {
+        const digits = version ?? Base64.fromInt(count, table.spec.default_size.ss);
+        if (digits.length !== table.spec.default_size.ss) throw new TypeError(`encodeCesrValue: version ${digits} invalid for code=${hard}`);
+        return hard + digits;
+    }
+    if (!(raw instanceof Uint8Array)) throw new TypeError(`encodeCesrValue: raw missing for code=${hard}`);
+    if (table.isVariableSize) {
+        // lead bytes and small or large code depend on raw size
+        const ls = (3 - raw.length % 3) % 3;
+        const size = (raw.length + ls) / 3;
+        const small = "456".includes(hard[0]);
+        if (small && size >= 64 ** table.spec.default_size.ss) {
+            hard = "789"[ls] + "AA" + hard.slice(1);
+        } else {
+            hard = (small ? "456" : "789")[ls] + hard.slice(1);
+        }
+        table = protocol.getCodeTable(hard);
+        return infil(hard + Base64.fromInt(size, table.spec.default_size.ss), raw, ls);
+    }
+    if (table.isFixedSize) {
+        const { hs, ss = 0, os = 0, ls = 0 } = table.spec.default_size;
+        let soft = "";
+        if (table.isIndexer) {
+            if (os === 0 && ondex !== undefined && ondex !== index) throw new TypeError(`encodeCesrValue: ondex not supported by code=${hard}`);
+            soft = Base64.fromInt(index, ss - os) + (os > 0 ? Base64.fromInt(ondex ?? index, os) : "");
+        }
+        const rs = Math.floor((table.spec.sizes.fs - hs - ss) * 3 / 4) - ls;
+        if (raw.length !== rs) throw new TypeError(`encodeCesrValue: raw size ${raw.length} invalid for code=${hard}, expected ${rs}`);
+        return infil(hard + soft, raw, ls);
+    }
+    throw new UnknownCodeError(`encodeCesrValue ${protocol.name}`, hard);
+}
+
+/**
+ * Encode primitive in the Base64 (qb64) text domain
+ * @param {CesrSchemaProtocol} protocol
+ * @param {string} code - code name from codex.json, unique in the codices of protocol, or hard part of code
+ * @param {CesrEncodeParams} params
+ * @returns {CesrValue}
+ */
+export function encodeCesrValue(protocol, code, params) {
+    return getCesrValue(protocol, encodeText(protocol, code, params));
+}
+
+/**
+ * Encode primitive in the Base2 (qb2) binary domain
+ * @param {CesrSchemaProtocol} protocol
+ * @param {string} code - code name from codex.json, unique in the codices of protocol, or hard part of code
+ * @param {CesrEncodeParams} params
+ * @returns {CesrValue}
+ */
+export function encodeCesrBinaryValue(protocol, code, params) {
+    return getCesrBinaryValue(protocol, Base64.decode(encodeText(protocol, code, params)));
+}
@@ -1,4 +1,7 @@
-import {CesrVersionHeader, CesrCodeTable, CesrProtocol, Serials, UnknownCodeError} from "./cesr.js";
+import {CesrVersionHeader, CesrCodeTable, CesrProtocol, FrameSizeError, Serials, ShortageError, UnknownCodeError} from "./cesr.js";
+import {Base64} from "../../local/modules/base64.js";
+import {CborReader} from "../../local/modules/cbor.js";
+import {MsgpackReader} from "../../local/modules/msgpack.js";
 import {Hex} from "../../local/modules/hex.js";
 import {Utf8} from "../../local/modules/utf8.js";
 
@@ -15,19 +18,88 @@ export class CesrValue {
   header;
   /** @type {Uint8Array} */
   value;
+  /**
+   * True if value is encoded in the Base2 (qb2) domain, false for the Base64 (qb64) text domain
+   * @type {boolean}
+   */
+  binary;
 
   /** @type {number} */
   get length() {
     return this.value.length;
   }
 
-  /** @param {{header, value}} obj */
-  constructor({header, value}) {
+  /**
+   * Length in bytes of the code header in the domain of value
+   * @type {number}
+   */
+  get headerLength() {
+    return this.binary ? this.header.length * 3 / 4 : this.header.length;
+  }
+
+  /**
+   * The value in the Base64 (qb64) text domain
+   * @type {string}
+   */
+  get qb64() {
+    return this.binary ? Base64.encode(this.value) : Utf8.decode(this.value);
+  }
+
+  /**
+   * Raw bytes of a Matter or Indexer primitive without code and lead bytes
+   * @type {Uint8Array | null}
+   */
+  get raw() {
+    return this.header.table?.getRaw(this.header, this.qb64) ?? null;
+  }
+
+  /**
+   * Raw bytes as hex string
+   * @type {string | null}
+   */
+  get rawHex() {
+    const raw = this.raw;
+    return raw === null ? null : Hex.encode(raw);
+  }
+
+  /** @param {{header, value, binary}} obj */
+  constructor({header, value, binary}) {
     this.header = header;
     this.value = value;
+    this.binary = binary ?? false;
   }
 }
 
+/**
+ * Map text selector to CESR code header
+ * @param {CesrProtocol} protocol
+ * @param {string} selector
+ * @param {string} name - name of calling function for error messages
+ * @returns {CesrDerivationCode}
+ */
+function getCodeHeader(protocol, selector, name) {
+  if (selector.length === 0) throw new ShortageError(`${name} ${protocol.name}`, selector);
+
+  // length of selector
+  const selectorSize = protocol.getSelectorSize(selector);
+  if (!Base64.isBase64(selector[0])) throw new UnknownCodeError(`${name} ${protocol.name} invalid Base64 character`, selector);
+
+  // lookup code table with selector
+  let table;
+  try {
+    table = protocol.getCodeTable(selector.slice(0, selectorSize));
+  } catch (e) {
+    // selector may be too short to match any code
+    if (e instanceof UnknownCodeError && selectorSize > selector.length) throw new ShortageError(`${name} ${protocol.name}`, selector);
+    throw e;
+  }
+  if (table.codeSize > selector.length) throw new ShortageError(`${name} ${protocol.name}`, selector);
+  if (!Base64.isBase64(selector.slice(0, table.codeSize))) throw new UnknownCodeError(`${name} ${protocol.name} invalid Base64 character`, selector.slice(0, table.codeSize));
+
+  // map to cesr code header
+  return table.mapCodeHeader(selector.slice(0, table.codeSize));
+}
+
 /**
  * Get first CESR T code from input
  * @param {CesrProtocol} protocol
@@ -46,28 +118,51 @@ export function getCesrValue(protocol, input) {
     throw new TypeError(`expected input "string" or "Uint8Array"`);
   }
 
-  // length of selector
-  const selectorSize = protocol.getSelectorSize(selector);
-  if (selectorSize > selector.length) throw new UnknownCodeError(`getCesrValue ${protocol.name}`, selector);
-
-  // lookup code table with selector
-  const table = protocol.getCodeTable(selector.slice(0, selectorSize));
-  if (table.codeSize > selector.length) throw new UnknownCodeError(`getCesrValue ${protocol.name}`, selector);
-
-  // map to cesr code header
-  const code = table.mapCodeHeader(selector.slice(0, table.codeSize));
+  const code = getCodeHeader(protocol, selector, "getCesrValue");
 
   // get total length of cesr code
-  const total = table.getTotalLength(code);
-  if (total > input.length) throw new UnknownCodeError(`getCesrValue ${protocol.name}`, JSON.stringify(code));
+  const total = code.table.getTotalLength(code);
+  if (total > input.length) throw new ShortageError(`getCesrValue ${protocol.name}`, JSON.stringify(code), total);
 
   // read cesr code
   const value = input.slice(0, total);
   if (total != value.length) throw new UnknownCodeError(`getCesrValue ${protocol.name}`, JSON.stringify(code));
+  // raw bytes are decoded from the Base64 payload
+  const text = Utf8.decode(value);
+  if (!Base64.isBase64(text)) throw new UnknownCodeError(`getCesrValue ${protocol.name} invalid Base64 character`, text);
+
+  return new CesrValue({
+    header: code,
+    value: value,
+  });
+}
+
+/**
+ * Get first CESR B code from input
+ * @param {CesrProtocol} protocol
+ * @param {Uint8Array} input
+ * @returns {CesrValue}
+ */
+export function getCesrBinaryValue(protocol, input) {
+  if (!(input instanceof Uint8Array)) throw new TypeError(`expected input "Uint8Array"`);
+
+  // 6 bytes of Base2 is 8 characters of Base64
+  const selector = Base64.encode(input.slice(0, 6)).slice(0, Math.floor(Math.min(input.length, 6) * 4 / 3));
+
+  const code = getCodeHeader(protocol, selector, "getCesrBinaryValue");
+
+  // get total length of cesr code, qb64 length is always a multiple of 4 characters
+  const total = code.table.getTotalLength(code) * 3 / 4;
+  if (!Number.isInteger(total)) throw new UnknownCodeError(`getCesrBinaryValue ${protocol.name}`, JSON.stringify(code));
+  if (total > input.length) throw new ShortageError(`getCesrBinaryValue ${protocol.name}`, JSON.stringify(code), total);
+
+  // read cesr code
+  const value = input.slice(0, total);
 
   return new CesrValue({
     header: code,
     value: value,
+    binary: true,
   });
 }
 
@@ -82,7 +177,7 @@ export function getCesrValue(protocol, input) {
  *
  * @type {{Free: number, CtB64: number, OpB64: number, JSON: number, MGPK1: number, CBOR: number, MGPK2: number, CtOpB2: number}}
  */
-let ColdDex = {
+export const ColdDex = Object.freeze({
   /**
    * Not taken, yet planned for annotated CESR
    * Binary 000, full binary value 00000000
@@ -108,17 +203,17 @@ let ColdDex = {
   JSON: 0o3,
   /**
    * MessagePack Fixed Map Event Start tritet
-   * Binary 100, full binary ?
+   * Binary 100, full binary 1000xxxx, hex 0x80 to 0x8F
    */
   MGPK1: 0o4,
   /**
    * CBOR Map Event Start
-   * Binary 101, full binary ?
+   * Binary 101, full binary 101xxxxx, hex 0xA0 to 0xBF
    */
   CBOR: 0o5,
   /**
    * MessagePack Big 16 or 32 Map Event Start
-   * Binary 110, full binary ?
+   * Binary 110, full binary 11011110 or 11011111, hex 0xDE or 0xDF
    */
   MGPK2: 0o6,
   /**
@@ -126,7 +221,7 @@ let ColdDex = {
    * Binary 111, full binary ?
    */
   CtOpB2: 0o7,
-}
+});
 
 /**
  * Get next CESR frame from input. Performs the "Parser.sniff" operation from KERIpy.
@@ -150,10 +245,23 @@ export function getCesrFrame(protocol, input) {
     // Corresponds to binary 00100000 - Like ColdDex.CtB64
     case ColdDex.CtB64: // '-' Base64 CountCode start character
       return getTextFrame(protocol, input);
+    // Corresponds to binary 01000000 - Like ColdDex.OpB64
+    case ColdDex.OpB64: // '_' Base64 OpCode start character
+      return getOpFrame(protocol, input);
     // Corresponds to binary 01100000 - Like ColdDex.JSON
     case ColdDex.JSON: // '{' JSON Map start character
       return getJsonFrame(input);
-    // TODO: op, binary, cbor, mgpk
+    // Corresponds to binary 10000000 - Like ColdDex.MGPK1
+    case ColdDex.MGPK1: // MessagePack fixmap start byte
+    // Corresponds to binary 11000000 - Like ColdDex.MGPK2
+    case ColdDex.MGPK2: // MessagePack map16 or map32 start byte
+      return getMgpkFrame(input);
+    // Corresponds to binary 10100000 - Like ColdDex.CBOR
+    case ColdDex.CBOR: // CBOR Map start byte
+      return getCborFrame(input);
+    // Corresponds to binary 11100000 - Like ColdDex.CtOpB2
+    case ColdDex.CtOpB2: // '-' or '_' Base2 CountCode or OpCode start bits
+      return getBinaryFrame(protocol, input);
     default:
       throw new UnknownCodeError(`getCesrFrame`, input[0]);
   }
@@ -166,17 +274,12 @@ export function getCesrFrame(protocol, input) {
  */
 function getTextFrame(protocol, input) {
   const value = getCesrValue(protocol, input);
-  switch (value.header.selector) {
-    case "-V":
-      break;
-    case "-0V":
-      break;
-    default:
-      throw new UnknownCodeError(`getTextFrame`, JSON.stringify(value.header));
-  }
+  // genus/version code is a frame of its own
+  if (protocol.isGenusVersion(value.header)) return value;
+  if (!protocol.isFrame(value.header)) throw new UnknownCodeError(`getTextFrame`, JSON.stringify(value.header));
 
   const size = value.header.count * 4 + value.header.length;
-  if (size > input.length) throw new UnknownCodeError(`getTextFrame`, JSON.stringify(value.header));
+  if (size > input.length) throw new ShortageError(`getTextFrame`, JSON.stringify(value.header), size);
 
   return new CesrValue({
     header: value.header,
@@ -184,35 +287,276 @@ function getTextFrame(protocol, input) {
   });
 }
 
+/**
+ * @param {CesrProtocol} protocol
+ * @param {Uint8Array} input
+ * @return {CesrValue}
+ */
+function getOpFrame(protocol, input) {
+  const value = getCesrValue(protocol, input);
+  if (!protocol.isOp(value.header)) throw new UnknownCodeError(`getOpFrame`, JSON.stringify(value.header));
+  return value;
+}
+
+/**
+ * @param {CesrProtocol} protocol
+ * @param {Uint8Array} input
+ * @return {CesrValue}
+ */
+function getBinaryFrame(protocol, input) {
+  const value = getCesrBinaryValue(protocol, input);
+  // genus/version code and op code are frames of their own
+  if (protocol.isGenusVersion(value.header) || protocol.isOp(value.header)) return value;
+  if (!protocol.isFrame(value.header)) throw new UnknownCodeError(`getBinaryFrame`, JSON.stringify(value.header));
+
+  // quadlets of Base64 are triplets of Base2
+  const size = value.header.count * 3 + value.headerLength;
+  if (size > input.length) throw new ShortageError(`getBinaryFrame`, JSON.stringify(value.header), size);
+
+  return new CesrValue({
+    header: value.header,
+    value: input.slice(0, size),
+    binary: true,
+  });
+}
+
 /**
  * @param {Uint8Array} input
  * @return {CesrValue}
  */
 function getJsonFrame(input) {
-  // {"v":"KERI10JSON0000fc_"
-  const versionStrHeader = Utf8.decode(input.slice(0, 24));
-  const versionStrPattern = /^{"\w{1}":"(\w{16})_"/;
+  // {"v":"KERI10JSON0000fc_" or {"v":"KERICAACAAJSONAAGc."
+  const versionStrHeader = Utf8.decode(input.slice(0, 32));
+  const versionStrPattern = /^{"\w{1}":"([^"]{16,19})"/;
   const versionStrMatch = versionStrPattern.exec(versionStrHeader);
+  if (versionStrMatch === null && input.length < 32 && isJsonVersionStrPrefix(versionStrHeader)) throw new ShortageError(`getJsonFrame`, versionStrHeader);
   if (versionStrMatch === null) throw new UnknownCodeError(`getJsonFrame`, versionStrHeader);
 
-  const versionStr = versionStrMatch[1];
-  const code = new CesrVersionHeader({
-    table: undefined,
-    value: versionStr,
-    serial: versionStr.slice(6, 10), // JSON
-    proto: versionStr.slice(0, 6), // KERI10
-    digits: versionStr.slice(10, 16), // 0000fc,
-    size: function () {
-      return Hex.toInt(this.digits);
-    },
+  const code = getVersionHeader(versionStrMatch[1]);
+  if (code === null) throw new UnknownCodeError(`getJsonFrame`, versionStrMatch[1]);
+
+  if (Serials.json !== code.serial) throw new UnknownCodeError(`getJsonFrame serialization ${code.serial} is not JSON`, code.value);
+
+  // declared size must end at the closing brace of the message
+  const actual = getJsonLength(input);
+  // a map that ends in input is complete, more input does not change its size
+  if (actual !== null && actual !== code.size) throw new FrameSizeError(`getJsonFrame`, code.value, code.size, actual);
+  if (code.size > input.length) throw new ShortageError(`getJsonFrame`, JSON.stringify(code), code.size);
+  if (actual !== code.size) throw new FrameSizeError(`getJsonFrame`, code.value, code.size, actual);
+
+  const value = input.slice(0, code.size);
+  try {
+    JSON.parse(Utf8.decode(value));
+  } catch (e) {
+    throw new UnknownCodeError(`getJsonFrame invalid JSON ${e.message}`, code.value);
+  }
+
+  return new CesrValue({
+    header: code,
+    value: value
+  });
+}
+
+/**
+ * Length of the JSON object at start of input, found by matching braces and brackets outside of strings
+ * @param {Uint8Array} input
+ * @return {number | null} null if the object does not end in input
+ */
+function getJsonLength(input) {
+  let depth = 0;
+  for (let i = 0; i < input.length; i++) {
+    switch (input[i]) {
+      case 0x22: // skip string, including escaped quotes
+        for (i++; i < input.length && input[i] !== 0x22; i++) {
+          if (input[i] === 0x5c) i++;
+        }
+        break;
+      case 0x7b: // {
+      case 0x5b: // [
+        depth++;
+        break;
+      case 0x7d: // }
+      case 0x5d: // ]
+        depth--;
+        if (depth === 0) return i + 1;
+        break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Length of the CBOR or MessagePack map at start of input
+ * @param {CborReader | MsgpackReader} reader - reader of complete input
+ * @param {string} name - name of calling function for error messages
+ * @param {CesrVersionHeader} code
+ * @return {number | null} null if the map does not end in input
+ */
+function getMapLength(reader, name, code) {
+  try {
+    reader.readValue();
+    return reader.offset;
+  } catch (e) {
+    if (e instanceof RangeError) return null;
+    throw new UnknownCodeError(`${name} invalid ${code.serial} ${e.message}`, code.value);
+  }
+}
+
+/**
+ * @param {Uint8Array} input
+ * @return {CesrValue}
+ */
+function getCborFrame(input) {
+  // A5 61 76 71 KERI10CBOR0000fc_ or A5 61 76 73 KERICAACAACBORAAGc.
+  // map header, text "v", text version string
+  const reader = new CborReader(input.slice(0, 32));
+  let versionStr;
+  try {
+    const head = reader.readHead();
+    if (head.major !== 5) throw new TypeError(`expected map`);
+    const label = reader.readValue();
+    if (typeof label !== "string" || label.length !== 1) throw new TypeError(`expected version label`);
+    versionStr = reader.readValue();
+  } catch (e) {
+    // the reader stops at the start of a truncated version string
+    if (e instanceof RangeError && input.length < 32 && isVersionStrPrefix(Utf8.decode(input.slice(reader.offset)))) throw new ShortageError(`getCborFrame ${e.message}`, Hex.encode(input.slice(0, 8)));
+    throw new UnknownCodeError(`getCborFrame ${e.message}`, Hex.encode(input.slice(0, 8)));
+  }
+  const code = typeof versionStr === "string" ? getVersionHeader(versionStr) : null;
+  if (code === null) throw new UnknownCodeError(`getCborFrame`, versionStr);
+
+  if (Serials.cbor !== code.serial) throw new UnknownCodeError(`getCborFrame serialization ${code.serial} is not CBOR`, code.value);
+
+  const actual = getMapLength(new CborReader(input), `getCborFrame`, code);
+  // a map that ends in input is complete, more input does not change its size
+  if (actual !== null && actual !== code.size) throw new FrameSizeError(`getCborFrame`, code.value, code.size, actual);
+  if (code.size > input.length) throw new ShortageError(`getCborFrame`, JSON.stringify(code), code.size);
+  if (actual !== code.size) throw new FrameSizeError(`getCborFrame`, code.value, code.size, actual);
+
+  return new CesrValue({
+    header: code,
+    value: input.slice(0, code.size)
   });
+}
 
-  if (Serials.json !== code.serial) throw new UnknownCodeError(`getJsonFrame`, JSON.stringify(code));
+/**
+ * @param {Uint8Array} input
+ * @return {CesrValue}
+ */
+function getMgpkFrame(input) {
+  // 8D A1 76 B1 KERI10MGPK0000fc_ or 8D A1 76 B3 KERICAACAAMGPKAAGc.
+  // map header, str "v", str version string
+  const reader = new MsgpackReader(input.slice(0, 32));
+  let versionStr;
+  try {
+    reader.readMapHeader();
+    const label = reader.readValue();
+    if (typeof label !== "string" || label.length !== 1) throw new TypeError(`expected version label`);
+    versionStr = reader.readValue();
+  } catch (e) {
+    // the reader stops at the start of a truncated version string
+    if (e instanceof RangeError && input.length < 32 && isVersionStrPrefix(Utf8.decode(input.slice(reader.offset)))) throw new ShortageError(`getMgpkFrame ${e.message}`, Hex.encode(input.slice(0, 8)));
+    throw new UnknownCodeError(`getMgpkFrame ${e.message}`, Hex.encode(input.slice(0, 8)));
+  }
+  const code = typeof versionStr === "string" ? getVersionHeader(versionStr) : null;
+  if (code === null) throw new UnknownCodeError(`getMgpkFrame`, versionStr);
+
+  if (Serials.mgpk !== code.serial) throw new UnknownCodeError(`getMgpkFrame serialization ${code.serial} is not MGPK`, code.value);
 
-  if (code.size > input.length) new UnknownCodeError(`getJsonFrame`, JSON.stringify(code));
+  const actual = getMapLength(new MsgpackReader(input), `getMgpkFrame`, code);
+  // a map that ends in input is complete, more input does not change its size
+  if (actual !== null && actual !== code.size) throw new FrameSizeError(`getMgpkFrame`, code.value, code.size, actual);
+  if (code.size > input.length) throw new ShortageError(`getMgpkFrame`, JSON.stringify(code), code.size);
+  if (actual !== code.size) throw new FrameSizeError(`getMgpkFrame`, code.value, code.size, actual);
 
   return new CesrValue({
     header: code,
     value: input.slice(0, code.size)
   });
 }
+
+/**
+ * Version string patterns. Version 1 has hex version and size, version 2 has Base64 version and size.
+ * https://trustoverip.github.io/tswg-cesr-specification/#version-string-field
+ */
+const VersionStrPatterns = Object.freeze([
+  // KERI10JSON0000fc_
+  /^(?<protocol>[A-Z]{4})(?<major>[0-9a-f])(?<minor>[0-9a-f])(?<serial>[A-Z]{4})(?<digits>[0-9a-f]{6})_$/,
+  // KERICAACAAJSONAAGc.
+  /^(?<protocol>[A-Z]{4})(?<major>[A-Za-z0-9_-])(?<minor>[A-Za-z0-9_-]{2})(?<genusMajor>[A-Za-z0-9_-])(?<genusMinor>[A-Za-z0-9_-]{2})(?<serial>[A-Z]{4})(?<digits>[A-Za-z0-9_-]{4})\.$/,
+  // KERICAAJSONAAGc.
+  /^(?<protocol>[A-Z]{4})(?<major>[A-Za-z0-9_-])(?<minor>[A-Za-z0-9_-]{2})(?<serial>[A-Z]{4})(?<digits>[A-Za-z0-9_-]{4})\.$/,
+]);
+
+/**
+ * Version strings as character classes, U for uppercase letters, h for hex digits and b for Base64 characters.
+ * Other characters match themselves.
+ */
+const VersionStrTemplates = Object.freeze(["UUUUhhUUUUhhhhhh_", "UUUUbbbbbbUUUUbbbb.", "UUUUbbbUUUUbbbb."]);
+const VersionStrClasses = Object.freeze({ U: /^[A-Z]$/, h: /^[0-9a-f]$/, b: /^[A-Za-z0-9_-]$/ });
+
+/**
+ * True if value may be completed to a version string by more input
+ * @param {string} value - start of a version string
+ * @return {boolean}
+ */
+function isVersionStrPrefix(value) {
+  const chars = [...value];
+  return VersionStrTemplates.some(template => chars.length <= template.length
+    && chars.every((ch, i) => VersionStrClasses[template[i]]?.test(ch) ?? ch === template[i]));
+}
+
+/**
+ * True if the start of a JSON frame may be completed to a version string field by more input
+ * @param {string} header - {"v":"KERI10JS
+ * @return {boolean}
+ */
+function isJsonVersionStrPrefix(header) {
+  const match = /^{"\w":"(.*)$/s.exec(header);
+  if (match !== null) return isVersionStrPrefix(match[1]);
+  return /^({("(\w("(:"?)?)?)?)?)?$/.test(header);
+}
+
+/**
+ * Map version string to version header
+ * @param {string} versionStr - KERI10JSON0000fc_ or KERICAACAAJSONAAGc.
+ * @return {CesrVersionHeader | null}
+ */
+function getVersionHeader(versionStr) {
+  for (const pattern of VersionStrPatterns) {
+    const match = pattern.exec(versionStr);
+    if (match === null) continue;
+    const groups = match.groups;
+    if (versionStr.endsWith("_")) {
+      return new CesrVersionHeader({
+        table: undefined,
+        value: versionStr.slice(0, -1),
+        serial: groups.serial, // JSON
+        proto: versionStr.slice(0, 6), // KERI10
+        protocol: groups.protocol, // KERI
+        major: Hex.toInt(groups.major),
+        minor: Hex.toInt(groups.minor),
+        digits: groups.digits, // 0000fc
+        size: function () {
+          return Hex.toInt(this.digits);
+        },
+      });
+    }
+    return new CesrVersionHeader({
+      table: undefined,
+      value: versionStr.slice(0, -1),
+      serial: groups.serial, // JSON
+      proto: versionStr.slice(0, 7), // KERICAA
+      protocol: groups.protocol, // KERI
+      major: Base64.toInt(groups.major),
+      minor: Base64.toInt(groups.minor),
+      genusMajor: groups.genusMajor !== undefined ? Base64.toInt(groups.genusMajor) : undefined,
+      genusMinor: groups.genusMinor !== undefined ? Base64.toInt(groups.genusMinor) : undefined,
+      digits: groups.digits, // AAGc
+      size: function () {
+        return Base64.toInt(this.digits);
+      },
+    });
+  }
+  return null;
+}
@@ -1,10 +1,16 @@
 import {CesrProtocol, CesrCodeTable, UnknownCodeError, CesrVersionHeader, CesrDerivationCode} from "./cesr.js";
 import { Base64 } from "../../local/modules/base64.js";
 
-import { CesrTables, CesrContext } from "./cesr-tables.js";
+import { CesrTables, CesrContext, fetchLoader, fileLoader, objectLoader, defaultLoader } from "./cesr-tables.js";
+
+/**
+ * Names of count code tables selected by genus/version code
+ */
+const CounterNames = Object.freeze(["Counter", "AltCounter", "ProtocolGenus"]);
 
 export class CesrSchemaProtocol extends CesrProtocol {
     /**
+     * Load tables with the default loader of the environment
      * @param  {...string} names
      * @returns {CesrSchemaProtocol}
      */
@@ -12,10 +18,21 @@ export class CesrSchemaProtocol extends CesrProtocol {
         const tables = await CesrTables.load();
         return new CesrSchemaProtocol(tables, ...names);
     }
+    /**
+     * @param {CesrTablesLoader} loader
+     * @param  {...string} names
+     * @returns {CesrSchemaProtocol}
+     */
+    static async loadWith(loader, ...names) {
+        const tables = await CesrTables.load(loader);
+        return new CesrSchemaProtocol(tables, ...names);
+    }
     /** @type {CesrTables} */
     tables;
     /** @type {CesrContext} */
     context;
+    /** @type {string[]} */
+    names;
     /**
      * @param {CesrTables} tables
      * @param {...string} names
@@ -24,6 +41,7 @@ export class CesrSchemaProtocol extends CesrProtocol {
         super();
         this.tables = tables;
         this.context = tables.context(...names);
+        this.names = Object.freeze(names);
     }
     /**
      * @override
@@ -68,13 +86,21 @@ export class CesrSchemaProtocol extends CesrProtocol {
     isGroup(code) {
         return code.table.isCounter && "counter" in code.table.spec && "count" in code.table.spec.counter;
     }
+    /**
+     * @override
+     * @param {CesrVersionHeader} code
+     * @returns {boolean}
+     */
+    isOp(code) {
+        return code.table.isOpCode;
+    }
     /**
      * @override
      * @param {CesrVersionHeader} code
      * @returns {boolean}
      */
     hasContext(code) {
-        return this.isGroup(code) && "context" in code.table.spec.counter;
+        return (this.isGroup(code) || this.isFrame(code)) && "context" in code.table.spec.counter;
     }
     /**
      * @override
@@ -86,9 +112,32 @@ export class CesrSchemaProtocol extends CesrProtocol {
             ? new CesrSchemaProtocol(this.tables, ...code.table.spec.counter.context)
             : null;
     }
+    /**
+     * @override
+     * @param {CesrVersionHeader} code
+     * @returns {boolean}
+     */
+    isGenusVersion(code) {
+        return code.table.isVersion;
+    }
+    /**
+     * Replace the count code table with Counter for major version 1 and AltCounter for major version 2
+     * @override
+     * @param {CesrVersionHeader} code
+     * @returns {CesrProtocol}
+     */
+    getGenusVersion(code) {
+        if (!this.isGenusVersion(code)) return null;
+        const major = Base64.toInt(code.version.slice(0, 1));
+        const names = this.names.filter(i => !CounterNames.includes(i));
+        if (names.length === this.names.length) return this;
+        return major < 2
+            ? new CesrSchemaProtocol(this.tables, ...names, "Counter")
+            : new CesrSchemaProtocol(this.tables, ...names, "AltCounter", "ProtocolGenus");
+    }
 }
 
-// FixedSize, VariableSize, Indexer, Counter, Version
+// FixedSize, VariableSize, Indexer, Counter, Version, OpCode
 export class CesrSchemaCodeTable extends CesrCodeTable {
     /** @type {object} */
     spec;
@@ -105,6 +154,7 @@ export class CesrSchemaCodeTable extends CesrCodeTable {
     get isIndexer() { return this.spec.table_type.includes("Indexer"); }
     get isCounter() { return this.spec.table_type.includes("Counter"); }
     get isVersion() { return this.spec.table_type.includes("Version"); }
+    get isOpCode() { return this.spec.table_type.includes("OpCode"); }
     /**
      * @override
      * @type {number}
@@ -128,6 +178,10 @@ export class CesrSchemaCodeTable extends CesrCodeTable {
         }
         // typeName
         header["typeName"] = this.spec.name;
+        if (this.isOpCode) {
+            // op codes are not named in codex.json
+            header["typeName"] ??= this.spec.table_type;
+        }
         if (this.isFixedSize || this.isVariableSize) {
             // leadBytes
             if ("ls" in this.spec.default_size) {
@@ -205,11 +259,25 @@ export class CesrSchemaCodeTable extends CesrCodeTable {
             return this.codeSize;
         }
     }
+    /**
+     * @override
+     * @param {CesrDerivationCode} code
+     * @param {string} qb64
+     * @returns {Uint8Array | null}
+     */
+    getRaw(code, qb64) {
+        if (!(this.isFixedSize || this.isVariableSize)) return null;
+        // prepad the code with zero bits to align raw bytes on a quadlet, then drop pad and lead bytes
+        const ps = this.codeSize % 4;
+        const ls = this.spec.default_size.ls ?? 0;
+        const paw = Base64.decode("A".repeat(ps) + qb64.slice(this.codeSize, this.getTotalLength(code)));
+        return paw.slice(ps + ls);
+    }
     /** @returns {string} */
     toJSON() {
         return `CesrSchemaCodeTable(${this.spec.table_type})`;
     }
 }
 
-export { CesrTables, CesrContext };
-export { CesrVersionHeader, CesrValue, getCesrValue, getCesrFrame } from "./cesr.js";
+export { CesrTables, CesrContext, fetchLoader, fileLoader, objectLoader, defaultLoader };
+export { FrameSizeError, ShortageError, UnknownCodeError, CesrVersionHeader, CesrValue, getCesrValue, getCesrBinaryValue, getCesrFrame } from "./cesr.js";
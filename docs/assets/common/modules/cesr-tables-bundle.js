@@ -0,0 +1,14 @@
+/*
+
+Tables bundled as JSON modules. Import this module instead of loading tables at runtime
+when the application is bundled or the schema directory is not available.
+
+*/
+
+import codex from "../schema/codex.json" with { type: "json" };
+import sizes from "../schema/sizes.json" with { type: "json" };
+import counter from "../schema/counter.json" with { type: "json" };
+import default_sizes from "../schema/default_sizes.json" with { type: "json" };
+import { objectLoader } from "./cesr-tables.js";
+
+export const bundledLoader = objectLoader({ codex, sizes, counter, default_sizes });
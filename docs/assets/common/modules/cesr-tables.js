@@ -10,6 +10,72 @@ async function get_json(uri) {
     return await response.json();
 }
 
+/**
+ * Directory URL with a trailing slash, file names are resolved inside the directory instead of next to it
+ * @param {URL} dir
+ * @returns {URL}
+ */
+function directoryUrl(dir) {
+    if (dir.pathname.endsWith("/")) return dir;
+    const result = new URL(dir);
+    result.pathname += "/";
+    return result;
+}
+
+/**
+ * Load a table by name
+ * @callback CesrTablesLoader
+ * @param {string} name - codex, sizes, counter or default_sizes
+ * @returns {Promise<object>}
+ */
+
+/**
+ * Load tables with fetch. Used by browsers.
+ * @param {string | URL} base - location of schema directory
+ * @returns {CesrTablesLoader}
+ */
+export function fetchLoader(base = new URL("../schema/", import.meta.url)) {
+    const dir = directoryUrl(new URL(base, globalThis.location?.href));
+    return async name => await get_json(new URL(`${name}.json`, dir));
+}
+
+/**
+ * Load tables from the filesystem. Used by Node.js.
+ * @param {string | URL} dir - path or file URL of schema directory
+ * @returns {CesrTablesLoader}
+ */
+export function fileLoader(dir = new URL("../schema/", import.meta.url)) {
+    if (dir instanceof URL) dir = directoryUrl(dir);
+    return async name => {
+        const { readFile } = await import("node:fs/promises");
+        const { join } = await import("node:path");
+        const file = dir instanceof URL ? new URL(`${name}.json`, dir) : join(dir, `${name}.json`);
+        return JSON.parse(await readFile(file, "utf-8"));
+    };
+}
+
+/**
+ * Load tables from an object with codex, sizes, counter and default_sizes properties.
+ * Used to inject tables or to load tables bundled with the application.
+ * @param {object} tables
+ * @returns {CesrTablesLoader}
+ */
+export function objectLoader(tables) {
+    return async name => {
+        if (!(name in tables)) throw new Error(`objectLoader: ${name} missing`);
+        // tables are transformed after loading
+        return structuredClone(tables[name]);
+    };
+}
+
+/**
+ * Filesystem loader in Node.js, fetch loader otherwise
+ * @returns {CesrTablesLoader}
+ */
+export function defaultLoader() {
+    return globalThis.process?.versions?.node !== undefined ? fileLoader() : fetchLoader();
+}
+
 /**
  * Load count table, field
  * Transform regex patterns in default_sizes.json
@@ -72,18 +138,22 @@ export class CesrTables {
     /** default_sizes.json */
     default_sizes;
     /**
+     * @param {CesrTablesLoader} loader
      * @returns {CesrTables}
      */
-    static async load() {
-        const codex = get_json("../schema/codex.json");
-        const sizes = get_json("../schema/sizes.json");
-        const counter = get_json("../schema/counter.json");
-        const default_sizes = transform_patterns(get_json("../schema/default_sizes.json"));
+    static async load(loader = defaultLoader()) {
+        // await all tables, the first rejection is thrown and the others are handled
+        const [codex, sizes, counter, default_sizes] = await Promise.all([
+            loader("codex"),
+            loader("sizes"),
+            loader("counter"),
+            transform_patterns(loader("default_sizes")),
+        ]);
         const tables = new CesrTables();
-        tables.codex = Object.freeze(await codex);
-        tables.sizes = Object.freeze(await sizes);
-        tables.counter = Object.freeze(await counter);
-        tables.default_sizes = Object.freeze(await default_sizes);
+        tables.codex = Object.freeze(codex);
+        tables.sizes = Object.freeze(sizes);
+        tables.counter = Object.freeze(counter);
+        tables.default_sizes = Object.freeze(default_sizes);
         return Object.freeze(tables);
     }
     /**
@@ -166,6 +236,7 @@ export class CesrContext {
      */
     lookup_table(code) {
         const result = this.hard_pattern.exec(code);
+        if (result === null) return null;
         for (const [k, v] of Object.entries(result.groups)) {
             if (v !== undefined) {
                 for (const i of Object.values(this.default_sizes)) {
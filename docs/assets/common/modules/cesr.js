@@ -17,10 +17,60 @@ export class UnknownCodeError extends Error {
      */
     constructor(message, code) {
         super(`${message} code=${code}`);
+        this.name = "UnknownCodeError";
         this.code = code;
     }
 }
 
+/**
+ * Input ends before the end of a CESR code or frame. More input may complete the code or frame.
+ */
+export class ShortageError extends UnknownCodeError {
+    /**
+     * Count of bytes needed, if known
+     * @type {number | undefined}
+     */
+    needed;
+    /**
+     * @param {string} message
+     * @param {string} code
+     * @param {number | undefined} needed
+     */
+    constructor(message, code, needed) {
+        super(message, code);
+        this.name = "ShortageError";
+        this.needed = needed;
+    }
+}
+
+/**
+ * Size of a message frame declared in its version string does not match the size of the serialized message.
+ */
+export class FrameSizeError extends UnknownCodeError {
+    /**
+     * Size declared in version string
+     * @type {number}
+     */
+    size;
+    /**
+     * Size of the serialized message, null if the message does not end in input
+     * @type {number | null}
+     */
+    actual;
+    /**
+     * @param {string} message
+     * @param {string} code
+     * @param {number} size
+     * @param {number | null} actual
+     */
+    constructor(message, code, size, actual) {
+        super(`${message} declared size ${size} actual size ${actual ?? "unknown"}`, code);
+        this.name = "FrameSizeError";
+        this.size = size;
+        this.actual = actual;
+    }
+}
+
 export const Serials = Object.freeze({
     json: 'JSON',
     mgpk: 'MGPK',
@@ -47,10 +97,35 @@ export class CesrVersionHeader {
      */
     serial;
     /**
-     * The protocol type whether KERI, ACDC, etc.
+     * The protocol type whether KERI, ACDC, etc. including protocol version, ie KERI10 or KERICAA
      * @type {string}
      */
     proto;
+    /**
+     * The protocol type without version, ie KERI or ACDC
+     * @type {string}
+     */
+    protocol;
+    /**
+     * Protocol major version
+     * @type {number}
+     */
+    major;
+    /**
+     * Protocol minor version
+     * @type {number}
+     */
+    minor;
+    /**
+     * Genus major version. Only in version 2 version strings that include a genus version.
+     * @type {number | undefined}
+     */
+    genusMajor;
+    /**
+     * Genus minor version. Only in version 2 version strings that include a genus version.
+     * @type {number | undefined}
+     */
+    genusMinor;
     /**
      * Length of code header. Same as {@link CesrCodeTable.codeSize}
      * @type {number}
@@ -66,6 +141,11 @@ export class CesrVersionHeader {
         this.value = obj.value;
         this.serial = obj.serial;
         this.proto = obj.proto;
+        this.protocol = obj.protocol;
+        this.major = obj.major;
+        this.minor = obj.minor;
+        this.genusMajor = obj.genusMajor;
+        this.genusMinor = obj.genusMinor;
         // define optional property digits
         if (Object.hasOwn(obj, "digits")) this.digits = obj.digits;
         // define optional context specific properties
@@ -245,6 +325,13 @@ export class CesrProtocol {
     isGroup(code) {
         return false;
     }
+    /**
+     * @param {CesrVersionHeader} code
+     * @returns {boolean}
+     */
+    isOp(code) {
+        return false;
+    }
     /**
      * @param {CesrVersionHeader} code
      * @returns {boolean}
@@ -252,6 +339,22 @@ export class CesrProtocol {
     hasContext(code) {
         return false;
     }
+    /**
+     * True if code is a genus/version code that switches the active code tables
+     * @param {CesrVersionHeader} code
+     * @returns {boolean}
+     */
+    isGenusVersion(code) {
+        return false;
+    }
+    /**
+     * Protocol with the code tables selected by a genus/version code
+     * @param {CesrVersionHeader} code
+     * @returns {CesrProtocol}
+     */
+    getGenusVersion(code) {
+        return undefined;
+    }
     /**
      * @param {CesrVersionHeader} code
      * @returns {CesrProtocol}
@@ -312,6 +415,15 @@ export class CesrCodeTable {
     getLeadBytes(code) {
         throw new UnknownCodeError(`${this.name}.getLeadBytes`, code.value);
     }
+    /**
+     * Raw bytes of a value without code and lead bytes
+     * @param {CesrDerivationCode} code
+     * @param {string} qb64 - the complete value in the Base64 (qb64) text domain
+     * @returns {Uint8Array | null} null if values of this table have no raw bytes
+     */
+    getRaw(code, qb64) {
+        return null;
+    }
     /**
      * Implements CesrCodeHeader.typeName
      * @returns {funtion}
@@ -355,4 +467,4 @@ export class CesrCodeTable {
     toJSON() { return this.name; }
 }
 
-export { CesrValue, getCesrValue, getCesrFrame } from "./cesr-parser.js";
+export { CesrValue, ColdDex, getCesrValue, getCesrBinaryValue, getCesrFrame } from "./cesr-parser.js";
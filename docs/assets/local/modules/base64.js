@@ -11,9 +11,16 @@ export class Base64 {
     static valueOf(ch) {
         // TODO: reverse map instead of indexOf
         const r = Base64.#BASE64.indexOf(ch);
-        if (r == -1) throw new Error();
+        if (r == -1) throw new TypeError(`Base64.valueOf: invalid character ${JSON.stringify(ch)}`);
         return r;
     }
+    /**
+     * @param {string} value
+     * @returns {boolean} true if value only has Base64URLSafe characters
+     */
+    static isBase64(value) {
+        return /^[A-Za-z0-9_-]*$/.test(value);
+    }
     /**
      * @param {string} value 
      * @returns {number}
@@ -54,4 +61,63 @@ export class Base64 {
         }
         return result;
     }
+    /**
+     * @param {number} value
+     * @param {number} length - count of Base64 characters, value is left padded with A
+     * @returns {string}
+     */
+    static fromInt(value, length) {
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** (6 * length)) throw new RangeError(`Base64.fromInt: ${value} does not fit ${length} characters`);
+        let result = "";
+        for (let i = 0; i < length; i++) {
+            result = Base64.#BASE64[value % 64] + result;
+            value = Math.floor(value / 64);
+        }
+        return result;
+    }
+    /**
+     * Encode bytes as Base64URLSafe text without padding.
+     * Trailing bits that do not fill a complete character are encoded with zero padding bits.
+     * @param {Uint8Array} value
+     * @returns {string}
+     */
+    static encode(value) {
+        let result = "";
+        let bits = 0;
+        let buffer = 0;
+        for (const byte of value) {
+            buffer = ((buffer << 8) | byte) & 0xffff;
+            bits += 8;
+            while (bits >= 6) {
+                bits -= 6;
+                result += Base64.#BASE64[(buffer >> bits) & 0x3f];
+            }
+        }
+        if (bits > 0) {
+            result += Base64.#BASE64[(buffer << (6 - bits)) & 0x3f];
+        }
+        return result;
+    }
+    /**
+     * Decode Base64URLSafe text, with or without padding, to bytes.
+     * Trailing bits that do not fill a complete byte are discarded.
+     * @param {string} value
+     * @returns {Uint8Array}
+     */
+    static decode(value) {
+        value = value.replace(/=+$/, "");
+        const result = new Uint8Array(Math.floor(value.length * 6 / 8));
+        let bits = 0;
+        let buffer = 0;
+        let i = 0;
+        for (const ch of value) {
+            buffer = ((buffer << 6) | Base64.valueOf(ch)) & 0xffff;
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                result[i++] = (buffer >> bits) & 0xff;
+            }
+        }
+        return result;
+    }
 }
@@ -0,0 +1,218 @@
+import { Utf8 } from "./utf8.js";
+
+/**
+ * Sequential reader of CBOR (RFC 8949) data items
+ */
+export class CborReader {
+    /** @type {Uint8Array} */
+    #input;
+    /** @type {DataView} */
+    #view;
+    /**
+     * Offset of next unread byte
+     * @type {number}
+     */
+    offset;
+    /**
+     * @param {Uint8Array} input
+     */
+    constructor(input) {
+        this.#input = input;
+        this.#view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+        this.offset = 0;
+    }
+    /**
+     * @param {number} length
+     */
+    #ensure(length) {
+        if (this.offset + length > this.#input.length) throw new RangeError(`CborReader: unexpected end of input at ${this.offset}`);
+    }
+    /**
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    #readBytes(length) {
+        this.#ensure(length);
+        const result = this.#input.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return result;
+    }
+    /**
+     * @param {number} info - additional information, low 5 bits of initial byte
+     * @returns {number | undefined} argument or undefined for indefinite length
+     */
+    #readArgument(info) {
+        let result;
+        if (info < 24) {
+            return info;
+        } else if (info === 24) {
+            this.#ensure(1);
+            result = this.#view.getUint8(this.offset);
+            this.offset += 1;
+        } else if (info === 25) {
+            this.#ensure(2);
+            result = this.#view.getUint16(this.offset);
+            this.offset += 2;
+        } else if (info === 26) {
+            this.#ensure(4);
+            result = this.#view.getUint32(this.offset);
+            this.offset += 4;
+        } else if (info === 27) {
+            this.#ensure(8);
+            result = Number(this.#view.getBigUint64(this.offset));
+            this.offset += 8;
+        } else if (info === 31) {
+            return undefined;
+        } else {
+            throw new TypeError(`CborReader: invalid additional information ${info} at ${this.offset - 1}`);
+        }
+        return result;
+    }
+    /**
+     * Read initial byte and argument of next data item
+     * @returns {{major: number, info: number, argument: number | undefined}}
+     */
+    readHead() {
+        this.#ensure(1);
+        const initial = this.#view.getUint8(this.offset);
+        this.offset += 1;
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+        if (major === 7) {
+            // simple values and floats carry their payload in the argument bytes
+            return { major, info, argument: info < 24 ? info : undefined };
+        }
+        return { major, info, argument: this.#readArgument(info) };
+    }
+    /**
+     * Read next complete data item
+     * @returns {any}
+     */
+    readValue() {
+        const { major, info, argument } = this.readHead();
+        switch (major) {
+            case 0:
+                return argument;
+            case 1:
+                return -1 - argument;
+            case 2:
+                return argument === undefined ? this.#readChunks(major) : this.#readBytes(argument);
+            case 3:
+                return Utf8.decode(argument === undefined ? this.#readChunks(major) : this.#readBytes(argument));
+            case 4: {
+                const result = [];
+                for (let i = 0; argument === undefined || i < argument; i++) {
+                    if (argument === undefined && this.#readBreak()) break;
+                    result.push(this.readValue());
+                }
+                return result;
+            }
+            case 5: {
+                const result = {};
+                for (let i = 0; argument === undefined || i < argument; i++) {
+                    if (argument === undefined && this.#readBreak()) break;
+                    const key = this.readValue();
+                    result[key] = this.readValue();
+                }
+                return result;
+            }
+            case 6:
+                // tags are not interpreted, return the tagged value
+                return this.readValue();
+            case 7:
+                return this.#readSimple(info);
+        }
+    }
+    /**
+     * @returns {boolean} true if next byte is break (0xff) and consumed
+     */
+    #readBreak() {
+        this.#ensure(1);
+        if (this.#view.getUint8(this.offset) !== 0xff) return false;
+        this.offset += 1;
+        return true;
+    }
+    /**
+     * Read indefinite length byte or text string chunks
+     * @param {number} major
+     * @returns {Uint8Array}
+     */
+    #readChunks(major) {
+        const chunks = [];
+        while (!this.#readBreak()) {
+            const head = this.readHead();
+            if (head.major !== major || head.argument === undefined) throw new TypeError(`CborReader: invalid chunk at ${this.offset}`);
+            chunks.push(this.#readBytes(head.argument));
+        }
+        const result = new Uint8Array(chunks.reduce((a, i) => a + i.length, 0));
+        let offset = 0;
+        for (const i of chunks) {
+            result.set(i, offset);
+            offset += i.length;
+        }
+        return result;
+    }
+    /**
+     * @param {number} info
+     * @returns {any}
+     */
+    #readSimple(info) {
+        let result;
+        switch (info) {
+            case 20: return false;
+            case 21: return true;
+            case 22: return null;
+            case 23: return undefined;
+            case 24:
+                this.#ensure(1);
+                result = this.#view.getUint8(this.offset);
+                this.offset += 1;
+                return result;
+            case 25:
+                this.#ensure(2);
+                result = halfToFloat(this.#view.getUint16(this.offset));
+                this.offset += 2;
+                return result;
+            case 26:
+                this.#ensure(4);
+                result = this.#view.getFloat32(this.offset);
+                this.offset += 4;
+                return result;
+            case 27:
+                this.#ensure(8);
+                result = this.#view.getFloat64(this.offset);
+                this.offset += 8;
+                return result;
+            default:
+                if (info < 20) return info;
+                throw new TypeError(`CborReader: invalid simple value ${info} at ${this.offset - 1}`);
+        }
+    }
+}
+
+/**
+ * @param {number} value - IEEE 754 half precision bits
+ * @returns {number}
+ */
+function halfToFloat(value) {
+    const exponent = (value >> 10) & 0x1f;
+    const fraction = value & 0x3ff;
+    const sign = value & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+export class Cbor {
+    /**
+     * Decode single CBOR data item
+     * @param {Uint8Array} value
+     * @returns {any}
+     */
+    static decode(value) {
+        const reader = new CborReader(value);
+        const result = reader.readValue();
+        if (reader.offset !== value.length) throw new TypeError(`Cbor.decode: ${value.length - reader.offset} trailing bytes`);
+        return result;
+    }
+}
@@ -1,4 +1,4 @@
-import {getCesrValue, getCesrFrame, CesrProtocol, CesrValue, Serials} from "../../common/modules/cesr.js";
+import {getCesrValue, getCesrBinaryValue, getCesrFrame, CesrProtocol, CesrValue, ColdDex, Serials, ShortageError} from "../../common/modules/cesr.js";
 
 /**
  * A grouped primitive
@@ -30,26 +30,55 @@ class Frame {
     /** @type {number} */
     end;
     /**
-     * Either {@link getCesrValue} or {@link getCesrFrame}
-     * @type {getCesrValue | getCesrFrame}
+     * Either {@link getCesrValue}, {@link getCesrBinaryValue} or {@link getCesrFrame}
+     * @type {getCesrValue | getCesrBinaryValue | getCesrFrame}
      * */
     valueGetter;
     /** @type {Group} */
     group;
     /** @type {object} */
     value;
+    /**
+     * Code tables of values in this frame, null for the protocol of the decoder.
+     * Replaced when a genus/version code is encountered in the frame.
+     * @type {CesrProtocol | null}
+     */
+    protocol;
     constructor(obj) {
         this.next = obj?.next;
         this.end = obj?.end;
         this.valueGetter = obj?.valueGetter;
         this.group = obj?.group;
         this.value = obj?.value;
+        this.protocol = obj?.protocol ?? null;
     }
     toJSON() {
         return `Frame(end=${this.end})`;
     }
 }
 
+/**
+ * A {Diagnostic} records a decode error and the range of input bytes skipped to resynchronize
+ */
+export class Diagnostic {
+    /** @type {number} */
+    start;
+    /** @type {number} */
+    end;
+    /** @type {Error} */
+    error;
+    /** @type {number} */
+    get length() { return this.end - this.start; }
+    constructor(obj) {
+        this.start = obj?.start;
+        this.end = obj?.end;
+        this.error = obj?.error;
+    }
+    toJSON() {
+        return { start: this.start, end: this.end, error: `${this.error}` };
+    }
+}
+
 export class DecoderState {
     /** @type {Frame} */
     currentFrame;
@@ -61,10 +90,38 @@ export class DecoderState {
     get end() { return this.currentFrame.end; }
     /** @type {boolean} */
     get isEmpty() { return this.currentFrame.next === null; }
+    /**
+     * Record decode errors as diagnostics and resynchronize instead of throwing
+     * @type {boolean}
+     */
+    tolerant;
+    /** @type {Diagnostic[]} */
+    diagnostics;
+    /**
+     * Input may be followed by more input. Stop at a truncated value instead of throwing.
+     * @type {boolean}
+     */
+    partial;
+    /**
+     * Set when decoding stopped at a truncated value of partial input, null otherwise
+     * @type {ShortageError | null}
+     */
+    shortage;
+    /**
+     * Buffered input of {@link CesrDecoder.push}
+     * @type {Uint8Array}
+     */
+    buffer;
+    /**
+     * Count of input bytes discarded from start of buffer. Offsets are relative to the complete input.
+     * @type {number}
+     */
+    base;
     /**
      * @param {object} value
+     * @param {boolean} tolerant
      */
-    constructor(value) {
+    constructor(value, tolerant = false) {
         this.currentFrame = new Frame({
             next: null,
             end: undefined,
@@ -73,18 +130,27 @@ export class DecoderState {
             value: value
         });
         this.start = 0;
+        this.tolerant = tolerant;
+        this.diagnostics = [];
+        this.partial = false;
+        this.shortage = null;
+        this.buffer = new Uint8Array(0);
+        this.base = 0;
     }
     /**
      * @param {number} end
      * @param {object} value
+     * @param {getCesrValue | getCesrBinaryValue} valueGetter
+     * @param {CesrProtocol | null} protocol
      */
-    pushFrame(end, value) {
+    pushFrame(end, value, valueGetter = getCesrValue, protocol = null) {
         this.currentFrame = new Frame({
             next: this.currentFrame,
             end: end,
-            valueGetter: getCesrValue,
+            valueGetter: valueGetter,
             group: null,
-            value: value
+            value: value,
+            protocol: protocol
         });
     }
     popFrame() {
@@ -113,6 +179,28 @@ export class DecoderState {
         this.currentFrame.group = this.currentFrame.group?.next;
         return group;
     }
+    /**
+     * Undo {@link popGroup}
+     * @param {Group} group
+     */
+    restoreGroup(group) {
+        if (group) this.currentFrame.group = group;
+    }
+    /**
+     * Append chunk to buffer. Bytes before start are discarded when not inside a frame.
+     * @param {Uint8Array} chunk
+     */
+    append(chunk) {
+        let buffer = this.buffer;
+        if (this.isEmpty) {
+            buffer = buffer.subarray(this.start);
+            this.base += this.start;
+            this.start = 0;
+        }
+        this.buffer = new Uint8Array(buffer.length + chunk.length);
+        this.buffer.set(buffer, 0);
+        this.buffer.set(chunk, buffer.length);
+    }
 }
 
 export class CesrDecoder {
@@ -136,9 +224,19 @@ export class CesrDecoder {
      */
     mapDefault(frame, group, code, offset) { return code; }
     mapJsonFrame(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
+    mapCborFrame(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
+    mapMgpkFrame(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
     mapCesrFrame(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
     mapCesrGroup(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
     mapCesrLeaf(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
+    mapCesrOp(frame, group, code, offset) { return this.mapDefault(frame, group, code, offset); }
+    /**
+     * @param {Frame} frame
+     * @param {Group} group
+     * @param {Diagnostic} diagnostic
+     * @returns {object}
+     */
+    mapDiagnostic(frame, group, diagnostic, offset) { return this.mapDefault(frame, group, diagnostic, offset); }
 
     /**
      * Returns the next slice of bytes based on the count of bytes between the start and end state.
@@ -149,48 +247,126 @@ export class CesrDecoder {
      */
     nextSlice(state, input) {
         while (true) {
-            const slice = input.slice(state.start, state.end);
+            const slice = input.subarray(state.start, state.end);
             if (slice.length > 0) return slice;
             if (state.isEmpty) return slice;
+            // frame continues in input not yet received
+            if (state.end > input.length) return slice;
             state.popFrame();
         }
     }
+    /**
+     * A position is a cold start if a frame can be read at the position and the frame is followed by
+     * either the end of input or another frame. Checking two frames avoids resynchronizing on count
+     * codes or op codes embedded in JSON strings.
+     * @param {getCesrValue | getCesrFrame} valueGetter
+     * @param {CesrProtocol} protocol
+     * @param {Uint8Array} input
+     * @param {number} offset
+     * @param {boolean} partial - a truncated frame may be completed by more input
+     * @returns {boolean}
+     */
+    #isColdStart(valueGetter, protocol, input, offset, partial) {
+        try {
+            const next = offset + valueGetter(protocol, input.subarray(offset)).length;
+            if (next >= input.length) return next === input.length;
+            valueGetter(protocol, input.subarray(next));
+            return true;
+        } catch (e) {
+            return partial && e instanceof ShortageError;
+        }
+    }
+    /**
+     * Record error as a diagnostic, abandon all enclosing frames and groups, and move the start of the
+     * state forward to the next cold start position of the outermost frame where a frame can be read.
+     * The skipped bytes may run past the end of the enclosing frames, the diagnostic is a value of the
+     * outermost frame.
+     * @param {DecoderState} state
+     * @param {Uint8Array} input
+     * @param {Error} error
+     * @returns {object}
+     */
+    #resync(state, input, error) {
+        const start = state.start;
+        while (!state.isEmpty) state.popFrame();
+        state.currentFrame.group = null;
+        const root = state.currentFrame;
+        const protocol = root.protocol ?? this.#protocol;
+        let end = start + 1;
+        for (; end < input.length; end++) {
+            if (input[end] >> 5 === ColdDex.Free) continue;
+            if (this.#isColdStart(root.valueGetter, protocol, input, end, state.partial)) break;
+        }
+        const diagnostic = new Diagnostic({ start: state.base + start, end: state.base + end, error: error });
+        state.diagnostics.push(diagnostic);
+        state.start = end;
+        return this.mapDiagnostic(root, null, diagnostic, { start: diagnostic.start, length: diagnostic.length });
+    }
     /**
      * Generator function that yields each encountered self-framing value in a CESR stream.
      * @param {DecoderState} state - The state of the parser window on the `input` stream bytes.
      * @param {Uint8Array} input - The CESR stream
      */
     *values(state, input) {
+        state.shortage = null;
         while (true) {
             const slice = this.nextSlice(state, input);
             if (slice.length == 0) break;
             const frame = state.currentFrame;
             const group = state.popGroup();
-            const protocol = group?.protocol ?? this.#protocol;
+            const protocol = group?.protocol ?? frame.protocol ?? this.#protocol;
             const getValue = frame.valueGetter;
-            const frameValue = getValue(protocol, slice);
+            let frameValue;
+            try {
+                frameValue = getValue(protocol, slice);
+            } catch (e) {
+                if (state.partial && e instanceof ShortageError) {
+                    // wait for more input
+                    state.restoreGroup(group);
+                    state.shortage = e;
+                    break;
+                }
+                if (!state.tolerant) throw e;
+                yield this.#resync(state, input, e);
+                continue;
+            }
             let length = frameValue.length;
             let result = undefined;
 
             if(frameValue.header.serial) {
                 switch (frameValue.header.serial) {
                     case Serials.json:
-                        result = this.mapJsonFrame(frame, group, frameValue, {start: state.start, length: length});
+                        result = this.mapJsonFrame(frame, group, frameValue, { start: state.base + state.start, length: length });
+                        break;
+                    case Serials.cbor:
+                        result = this.mapCborFrame(frame, group, frameValue, { start: state.base + state.start, length: length });
+                        break;
+                    case Serials.mgpk:
+                        result = this.mapMgpkFrame(frame, group, frameValue, { start: state.base + state.start, length: length });
                         break;
                     default:
                         throw new Error(`Unsupported serialization type: ${frameValue.header.serial}`)
                 }
             } else if (frameValue.header.selector) {
                 if (protocol.isFrame(frameValue.header)) {
-                    length = frameValue.header.length;
-                    result = this.mapCesrFrame(frame, group, frameValue, { start: state.start, length: length });
-                    state.pushFrame(state.start + frameValue.length, result);
+                    length = frameValue.headerLength;
+                    result = this.mapCesrFrame(frame, group, frameValue, { start: state.base + state.start, length: length });
+                    const p = protocol.hasContext(frameValue.header) ? protocol.getContext(frameValue.header) : protocol;
+                    // nested frame values only include the code, count is quadlets (qb64) or triplets (qb2)
+                    const end = state.start + length + frameValue.header.count * (frameValue.binary ? 3 : 4);
+                    state.pushFrame(end, result, frameValue.binary ? getCesrBinaryValue : getCesrValue, p);
                 } else if (protocol.isGroup(frameValue.header)) {
-                    result = this.mapCesrGroup(frame, group, frameValue, { start: state.start, length: length });
+                    result = this.mapCesrGroup(frame, group, frameValue, { start: state.base + state.start, length: length });
                     const p = protocol.hasContext(frameValue.header) ? protocol.getContext(frameValue.header) : null;
                     state.pushGroup(frameValue.header.count, p, result);
+                } else if (protocol.isOp(frameValue.header)) {
+                    result = this.mapCesrOp(frame, group, frameValue, { start: state.base + state.start, length: length });
+                } else if (protocol.isGenusVersion(frameValue.header)) {
+                    result = this.mapCesrLeaf(frame, group, frameValue, { start: state.base + state.start, length: length });
+                    // switch code tables for remaining values of current frame
+                    frame.protocol = protocol.getGenusVersion(frameValue.header);
                 } else {
-                    result = this.mapCesrLeaf(frame, group, frameValue, { start: state.start, length: length });
+                    result = this.mapCesrLeaf(frame, group, frameValue, { start: state.base + state.start, length: length });
                 }
             } else {
                 throw new Error(`Unsupported header type: ${JSON.stringify(frameValue.header)}`)
@@ -199,4 +375,57 @@ export class CesrDecoder {
             state.start += length; // move the frame forward
         }
     }
+    /**
+     * Generator function that appends a chunk of a CESR stream to the buffered input of the state and
+     * yields each self-framing value completed by the chunk. A truncated value at the end of the chunk is
+     * kept in the buffer and {@link DecoderState.shortage} is set until more input is pushed.
+     * @param {DecoderState} state
+     * @param {Uint8Array} chunk
+     */
+    *push(state, chunk) {
+        state.partial = true;
+        state.append(chunk);
+        yield* this.values(state, state.buffer);
+    }
+    /**
+     * Generator function that ends input of {@link CesrDecoder.push}. Remaining buffered input is decoded
+     * as complete input, a truncated value throws {@link ShortageError} or is recorded as a diagnostic.
+     * @param {DecoderState} state
+     */
+    *finish(state) {
+        state.partial = false;
+        yield* this.values(state, state.buffer);
+    }
+    /**
+     * Async generator function that yields each self-framing value of a chunked CESR stream.
+     * @param {DecoderState} state
+     * @param {ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>} stream
+     */
+    async *stream(state, stream) {
+        for await (const chunk of chunks(stream)) {
+            yield* this.push(state, chunk);
+        }
+        yield* this.finish(state);
+    }
+}
+
+/**
+ * Iterate chunks of a stream. Not all browsers implement async iteration of {@link ReadableStream}.
+ * @param {ReadableStream<Uint8Array> | AsyncIterable<Uint8Array>} stream
+ */
+async function* chunks(stream) {
+    if (typeof stream.getReader !== "function") {
+        yield* stream;
+        return;
+    }
+    const reader = stream.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
 }
@@ -0,0 +1,159 @@
+import { MessageKinds } from "./decoder-tree.js";
+
+/**
+ * An edge of a credential to another credential
+ */
+export class CredentialEdge {
+    /**
+     * Label of the edge in the edge block `e`
+     * @type {string}
+     */
+    label;
+    /**
+     * SAID `n` of the referenced credential
+     * @type {string}
+     */
+    said;
+    /**
+     * Schema SAID `s` of the referenced credential
+     * @type {string | undefined}
+     */
+    schema;
+    /**
+     * Operator `o` of the edge
+     * @type {string | string[] | undefined}
+     */
+    operator;
+    /**
+     * The referenced credential if decoded in the same stream
+     * @type {Credential | undefined}
+     */
+    credential;
+    /**
+     * @param {object} obj
+     */
+    constructor(obj) {
+        Object.assign(this, obj);
+    }
+    /**
+     * False if the schema of the referenced credential differs from `s`, undefined if not resolved
+     * @type {boolean | undefined}
+     */
+    get schemaMatches() {
+        if (this.credential === undefined || this.schema === undefined) return undefined;
+        return this.credential.schema === this.schema;
+    }
+}
+
+/**
+ * An ACDC credential of a decoded stream
+ */
+export class Credential {
+    /**
+     * SAID `d` of the credential
+     * @type {string}
+     */
+    said;
+    /**
+     * Issuer `i`
+     * @type {string | undefined}
+     */
+    issuer;
+    /**
+     * Issuee `i` of the attribute block
+     * @type {string | undefined}
+     */
+    issuee;
+    /**
+     * Schema SAID `s`
+     * @type {string | undefined}
+     */
+    schema;
+    /**
+     * Registry `ri`
+     * @type {string | undefined}
+     */
+    registry;
+    /**
+     * Attribute block `a`, a SAID if compact
+     * @type {object | string | undefined}
+     */
+    attributes;
+    /**
+     * Edge block `e`, a SAID if compact
+     * @type {object | string | undefined}
+     */
+    edgeBlock;
+    /**
+     * Rule block `r`, a SAID if compact
+     * @type {object | string | undefined}
+     */
+    rules;
+    /**
+     * Edges of the edge block
+     * @type {CredentialEdge[]}
+     */
+    edges = [];
+    /**
+     * Other credentials of the stream with an edge to this credential
+     * @type {Credential[]}
+     */
+    referencedBy = [];
+    /**
+     * Status of the credential from its transaction event log, undefined if the stream has no events of the
+     * credential
+     * @type {CredentialStatus | undefined}
+     */
+    status;
+    /**
+     * The decoded message, the first one if the credential occurs many times in the stream
+     * @type {DecoderNode}
+     */
+    node;
+    /**
+     * @param {DecoderNode} node - ACDC message
+     */
+    constructor(node) {
+        const acdc = node.value;
+        this.node = node;
+        this.said = acdc.d;
+        this.issuer = acdc.i;
+        this.issuee = typeof acdc.a === "object" ? acdc.a?.i : undefined;
+        this.schema = typeof acdc.s === "string" ? acdc.s : acdc.s?.$id;
+        this.registry = acdc.ri ?? acdc.rd;
+        this.attributes = acdc.a;
+        this.edgeBlock = acdc.e;
+        this.rules = acdc.r;
+        if (typeof acdc.e === "object" && acdc.e !== null) {
+            for (const [label, edge] of Object.entries(acdc.e)) {
+                if (typeof edge !== "object" || edge === null || typeof edge.n !== "string") continue;
+                this.edges.push(new CredentialEdge({ label: label, said: edge.n, schema: edge.s, operator: edge.o }));
+            }
+        }
+    }
+}
+
+/**
+ * Collect the ACDC credentials of a decoded stream and resolve the edges between them. Credentials that occur
+ * many times in the stream are collected once.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {Map<string, CredentialStatus>} [statuses] - credential statuses of {@link processTels}
+ * @returns {Map<string, Credential>} credentials by SAID, in order of the stream
+ */
+export function processCredentials(nodes, statuses = new Map()) {
+    const result = new Map();
+    for (const node of nodes) {
+        if (!MessageKinds.includes(node.kind) || node.protocol !== "ACDC") continue;
+        if (typeof node.value?.d !== "string" || result.has(node.value.d)) continue;
+        const credential = new Credential(node);
+        credential.status = statuses.get(credential.said);
+        result.set(credential.said, credential);
+    }
+    for (const credential of result.values()) {
+        for (const edge of credential.edges) {
+            edge.credential = result.get(edge.said);
+            edge.credential?.referencedBy.push(credential);
+        }
+    }
+    return result;
+}
@@ -0,0 +1,273 @@
+import { Utf8 } from "./utf8.js";
+
+export function replacer(k, v) {
+    if (v instanceof Uint8Array) {
+        return Utf8.decode(v);
+    }
+    return v;
+}
+export function toJson(obj) {
+    return JSON.stringify(obj, replacer, 2);
+}
+export function fromJson(json) {
+    return JSON.parse(json);
+}
+
+/**
+ * @param {DecoderNode} node
+ * @returns {string}
+ */
+export function formatHeader(node) {
+    const parts = [];
+    parts.push(node.code);
+    parts.push(node.typeName ?? node.serial);
+    if (node.binary) {
+        parts.push("qb2");
+    }
+    for (const i of ["leadBytes", "size", "count", "version", "index", "ondex"]) {
+        if (node[i] !== undefined) {
+            parts.push(`${i}=${node[i]}`);
+        }
+    }
+    if (node.verified !== undefined) {
+        parts.push(node.verified ? "valid" : "invalid");
+    }
+    if (node.path !== undefined) {
+        parts.push(`path=${node.path}`);
+        if (!node.pathResolved) {
+            parts.push("unresolved");
+        }
+    }
+    return parts.join(" ");
+}
+
+/**
+ * @param {DecoderNode} node
+ * @returns {string}
+ */
+export function formatDiagnostic(node) {
+    return `error start=${node.start} end=${node.end} ${node.error}`;
+}
+
+/**
+ * @param {DecoderNode} node
+ * @returns {string}
+ */
+export function formatJsonHeader(node) {
+    const parts = [];
+    parts.push(node.code);
+    parts.push(node.proto);
+    parts.push(`size=${node.size}`);
+    parts.push(`version=${node.major}.${node.minor}`);
+    if (node.genusMajor !== undefined) {
+        parts.push(`genus=${node.genusMajor}.${node.genusMinor}`);
+    }
+    switch (node.protocol) {
+        case "KERI":
+            for (const i of ["t", "i", "r"]) {
+                if (Object.hasOwn(node.value, i)) {
+                    parts.push(`${i}=${node.value[i]}`);
+                }
+            }
+            break;
+        case "ACDC":
+            for (const i of ["i", "s"]) {
+                if (Object.hasOwn(node.value, i)) {
+                    parts.push(`${i}=${node.value[i]}`);
+                }
+            }
+            break;
+    }
+    if (node.saidVerified !== undefined) {
+        parts.push(`said=${node.saidVerified ? "valid" : "invalid"}`);
+    }
+    if (node.thresholdSatisfied !== undefined) {
+        parts.push(`threshold=${node.thresholdSatisfied ? "satisfied" : "unsatisfied"}`);
+        parts.push(`weight=${node.signedWeight}`);
+    }
+    return parts.join(" ");
+}
+
+/**
+ * One line summary of a decoded value
+ * @param {DecoderNode} node
+ * @returns {string}
+ */
+export function formatNode(node) {
+    switch (node.kind) {
+        case "json":
+        case "cbor":
+        case "mgpk":
+            return formatJsonHeader(node);
+        case "diagnostic":
+            return formatDiagnostic(node);
+        default:
+            return formatHeader(node);
+    }
+}
+
+/**
+ * One line summary of the key state of an identifier
+ * @param {KeyState} state
+ * @returns {string}
+ */
+export function formatKeyState(state) {
+    const parts = [];
+    parts.push(state.prefix);
+    parts.push(`sn=${state.sn}`);
+    if (state.establishment !== undefined) {
+        parts.push(`establishment=${state.establishment}`);
+    }
+    parts.push(`keys=${state.keys.length}`);
+    parts.push(`witnesses=${state.witnesses.length}`);
+    if (state.delegator !== undefined) {
+        parts.push(`di=${state.delegator}`);
+    }
+    parts.push(state.errors.length === 0 ? "valid" : "invalid");
+    return parts.join(" ");
+}
+
+/**
+ * Current keys, thresholds, next key digests and witnesses of a key state as text
+ * @param {KeyState} state
+ * @returns {string}
+ */
+export function formatKeyStateFields(state) {
+    return toJson({
+        s: state.sn.toString(16),
+        d: state.digest,
+        kt: state.signingThreshold,
+        k: state.keys,
+        nt: state.nextThreshold,
+        n: state.nextDigests,
+        bt: state.witnessThreshold,
+        b: state.witnesses,
+        di: state.delegator
+    });
+}
+
+/**
+ * One line summary of an event of a key event log
+ * @param {KelEvent} event
+ * @returns {string}
+ */
+export function formatKelEvent(event) {
+    const parts = [];
+    parts.push(`sn=${event.sn}`);
+    parts.push(event.type);
+    parts.push(`d=${event.digest}`);
+    if (event.chained !== undefined) {
+        parts.push(`p=${event.chained ? "valid" : "invalid"}`);
+    }
+    if (event.revealed !== undefined) {
+        parts.push(`revealed=${event.revealed.length}/${event.priorNextDigests.length}`);
+    }
+    if (event.preRotation !== undefined) {
+        parts.push(`prerotation=${event.preRotation ? "valid" : "invalid"}`);
+    }
+    if (event.receipts > 0) {
+        parts.push(`receipts=${event.receipts}`);
+    }
+    return parts.join(" ");
+}
+
+/**
+ * One line summary of an ACDC credential
+ * @param {Credential} credential
+ * @returns {string}
+ */
+export function formatCredential(credential) {
+    const parts = [];
+    parts.push(credential.said);
+    for (const [name, value] of [["issuer", credential.issuer], ["issuee", credential.issuee], ["schema", credential.schema]]) {
+        if (value !== undefined) {
+            parts.push(`${name}=${value}`);
+        }
+    }
+    parts.push(`edges=${credential.edges.length}`);
+    if (credential.status !== undefined) {
+        parts.push(`status=${credential.status.status ?? "unknown"}`);
+        if (credential.status.errors.length > 0) {
+            parts.push("invalid");
+        }
+    }
+    return parts.join(" ");
+}
+
+/**
+ * Issuer, issuee, schema, registry and compact blocks of a credential as text
+ * @param {Credential} credential
+ * @returns {string}
+ */
+export function formatCredentialFields(credential) {
+    const lines = [];
+    for (const [name, value] of [["issuer", credential.issuer], ["issuee", credential.issuee], ["schema", credential.schema],
+        ["registry", credential.registry], ["edges", credential.edgeBlock], ["rules", credential.rules]]) {
+        const said = typeof value === "string" ? value : value?.d;
+        if (said) {
+            lines.push(`${name}=${said}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+/**
+ * One line summary of an edge of a credential
+ * @param {CredentialEdge} edge
+ * @returns {string}
+ */
+export function formatEdge(edge) {
+    const parts = [];
+    parts.push(`edge ${edge.label}`);
+    parts.push(`n=${edge.said}`);
+    if (edge.schema !== undefined) {
+        parts.push(`s=${edge.schema}`);
+    }
+    if (edge.operator !== undefined) {
+        parts.push(`o=${edge.operator}`);
+    }
+    parts.push(edge.credential !== undefined ? "resolved" : "unresolved");
+    if (edge.schemaMatches === false) {
+        parts.push("schema=invalid");
+    }
+    return parts.join(" ");
+}
+
+/**
+ * One line summary of a credential registry
+ * @param {RegistryState} registry
+ * @returns {string}
+ */
+export function formatRegistry(registry) {
+    const parts = [];
+    parts.push(registry.prefix);
+    if (registry.issuer !== undefined) {
+        parts.push(`issuer=${registry.issuer}`);
+    }
+    parts.push(`sn=${registry.sn}`);
+    parts.push(`backers=${registry.backers.length}`);
+    if (registry.config.length > 0) {
+        parts.push(`c=${registry.config.join(",")}`);
+    }
+    parts.push(registry.errors.length === 0 ? "valid" : "invalid");
+    return parts.join(" ");
+}
+
+/**
+ * One line summary of an event of a transaction event log
+ * @param {TelEvent} event
+ * @returns {string}
+ */
+export function formatTelEvent(event) {
+    const parts = [];
+    parts.push(`sn=${event.sn}`);
+    parts.push(event.type);
+    parts.push(`d=${event.digest}`);
+    if (event.chained !== undefined) {
+        parts.push(`p=${event.chained ? "valid" : "invalid"}`);
+    }
+    if (event.node.value.dt !== undefined) {
+        parts.push(`dt=${event.node.value.dt}`);
+    }
+    return parts.join(" ");
+}
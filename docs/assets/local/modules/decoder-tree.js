@@ -0,0 +1,260 @@
+import { CesrDecoder } from "./cesr-decoder.js";
+import { Utf8 } from "./utf8.js";
+import { Cbor } from "./cbor.js";
+import { Msgpack } from "./msgpack.js";
+import { fromJson } from "./decoder-format.js";
+
+/**
+ * A decoded value of a CESR stream. Nodes only hold plain data and serialize with `JSON.stringify`.
+ */
+export class DecoderNode {
+    /**
+     * One of json, cbor, mgpk, frame, group, op, leaf or diagnostic
+     * @type {string}
+     */
+    kind;
+    /**
+     * Offset of first byte of the value in input
+     * @type {number}
+     */
+    start;
+    /**
+     * Offset of byte following the value in input. For frames and groups only the count code is included.
+     * @type {number}
+     */
+    end;
+    /**
+     * The derivation code or version string
+     * @type {string | undefined}
+     */
+    code;
+    /**
+     * Count of characters of the hard part of `code`, the remaining characters are soft code or size digits
+     * @type {number | undefined}
+     */
+    hardSize;
+    /** @type {string | undefined} */
+    typeName;
+    /**
+     * Serialization of message frames, one of JSON, CBOR, MGPK
+     * @type {string | undefined}
+     */
+    serial;
+    /**
+     * True if the value is encoded in qb2
+     * @type {boolean | undefined}
+     */
+    binary;
+    /** @type {number | undefined} */
+    leadBytes;
+    /** @type {number | undefined} */
+    size;
+    /** @type {number | undefined} */
+    count;
+    /** @type {string | undefined} */
+    version;
+    /** @type {number | undefined} */
+    index;
+    /** @type {number | undefined} */
+    ondex;
+    /** @type {string | undefined} */
+    proto;
+    /** @type {string | undefined} */
+    protocol;
+    /** @type {number | undefined} */
+    major;
+    /** @type {number | undefined} */
+    minor;
+    /** @type {number | undefined} */
+    genusMajor;
+    /** @type {number | undefined} */
+    genusMinor;
+    /**
+     * The complete value as qb64 text, for leaf and op values
+     * @type {string | undefined}
+     */
+    qb64;
+    /**
+     * Raw bytes of a Matter or Indexer primitive as hex string
+     * @type {string | undefined}
+     */
+    raw;
+    /**
+     * Result of signature verification, undefined if not verified
+     * @type {boolean | undefined}
+     */
+    verified;
+    /**
+     * Result of SAID verification of a message frame, undefined if not verified
+     * @type {boolean | undefined}
+     */
+    saidVerified;
+    /**
+     * True if the controller signatures of a KERI event satisfy the signing threshold, undefined if not evaluated
+     * @type {boolean | undefined}
+     */
+    thresholdSatisfied;
+    /**
+     * Signed weight of a KERI event compared to the signing threshold, like `1/2 of 1`
+     * @type {string | undefined}
+     */
+    signedWeight;
+    /**
+     * Path of a SadPathSig, SadPathSigGroup or PathedMaterialQuadlets group, relative to the root of the message
+     * @type {string | undefined}
+     */
+    path;
+    /**
+     * True if the path of a group exists in the message
+     * @type {boolean | undefined}
+     */
+    pathResolved;
+    /**
+     * Offset of first byte of the value at path in input, for JSON messages
+     * @type {number | undefined}
+     */
+    targetStart;
+    /**
+     * Offset of byte following the value at path in input
+     * @type {number | undefined}
+     */
+    targetEnd;
+    /**
+     * The decoded field map of a message frame
+     * @type {object | undefined}
+     */
+    value;
+    /**
+     * Error message of a diagnostic
+     * @type {string | undefined}
+     */
+    error;
+    /** @type {DecoderNode[]} */
+    children;
+    constructor(obj) {
+        for (const [key, value] of Object.entries(obj ?? {})) {
+            if (value !== undefined) this[key] = value;
+        }
+        this.children ??= [];
+    }
+}
+
+/**
+ * Kinds of {@link DecoderNode} of message frames
+ */
+export const MessageKinds = Object.freeze(["json", "cbor", "mgpk"]);
+
+const HeaderFields = ["typeName", "serial", "leadBytes", "size", "count", "version", "index", "ondex",
+    "proto", "protocol", "major", "minor", "genusMajor", "genusMinor"];
+
+/**
+ * Decoder that builds a tree of {@link DecoderNode}. The value of the {@link DecoderState} is the root
+ * node, decoded values are appended as its children.
+ */
+export class DecoderTree extends CesrDecoder {
+    /**
+     * @param {CesrProtocol} protocol
+     */
+    constructor(protocol) {
+        super(protocol);
+    }
+    mapDefault(frame, group, cesrValue, offset, kind, fields) {
+        const parent = (group?.value ?? frame.value);
+        const node = new DecoderNode({
+            kind: kind,
+            start: offset.start,
+            end: offset.start + offset.length,
+            code: cesrValue.header?.value,
+            hardSize: cesrValue.header?.selector?.length,
+            binary: cesrValue.header ? cesrValue.binary : undefined,
+            ...fields
+        });
+        for (const i of HeaderFields) {
+            if (cesrValue.header?.[i] !== undefined) node[i] = cesrValue.header[i];
+        }
+        parent.children.push(node);
+        return node;
+    }
+    mapJsonFrame(frame, group, cesrValue, offset) {
+        const json = fromJson(Utf8.decode(cesrValue.value));
+        return this.mapDefault(frame, group, cesrValue, offset, "json", { value: json });
+    }
+    mapCborFrame(frame, group, cesrValue, offset) {
+        const json = Cbor.decode(cesrValue.value);
+        return this.mapDefault(frame, group, cesrValue, offset, "cbor", { value: json });
+    }
+    mapMgpkFrame(frame, group, cesrValue, offset) {
+        const json = Msgpack.decode(cesrValue.value);
+        return this.mapDefault(frame, group, cesrValue, offset, "mgpk", { value: json });
+    }
+    mapCesrFrame(frame, group, cesrValue, offset) {
+        return this.mapDefault(frame, group, cesrValue, offset, "frame");
+    }
+    mapCesrGroup(frame, group, cesrValue, offset) {
+        return this.mapDefault(frame, group, cesrValue, offset, "group");
+    }
+    mapCesrOp(frame, group, cesrValue, offset) {
+        return this.mapDefault(frame, group, cesrValue, offset, "op", { qb64: cesrValue.qb64 });
+    }
+    mapCesrLeaf(frame, group, cesrValue, offset) {
+        return this.mapDefault(frame, group, cesrValue, offset, "leaf", { qb64: cesrValue.qb64, raw: cesrValue.rawHex ?? undefined });
+    }
+    mapDiagnostic(frame, group, diagnostic, offset) {
+        return this.mapDefault(frame, group, diagnostic, offset, "diagnostic", { error: `${diagnostic.error}` });
+    }
+}
+
+/**
+ * Pair each message of a decoded stream with the groups attached to it directly or in an attachment frame,
+ * not nested in other groups
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @returns {Generator<{message: DecoderNode, groups: DecoderNode[]}>}
+ */
+export function* getAttachments(nodes) {
+    let current = null;
+    for (const node of nodes) {
+        if (MessageKinds.includes(node.kind)) {
+            if (current !== null) yield current;
+            current = { message: node, groups: [] };
+            continue;
+        }
+        if (current === null) continue;
+        for (const group of [node, ...(node.kind === "frame" ? node.children : [])]) {
+            if (group.kind === "group") current.groups.push(group);
+        }
+    }
+    if (current !== null) yield current;
+}
+
+/**
+ * End of the bytes of a decoded value and its nested values. The `end` of a group is the end of its counter,
+ * the nested values follow it.
+ * @param {DecoderNode} node
+ * @returns {number}
+ */
+export function getEnd(node) {
+    let end = node.end;
+    for (let i = node; i.children.length > 0; i = i.children.at(-1)) {
+        end = Math.max(end, i.children.at(-1).end);
+    }
+    return end;
+}
+
+/**
+ * Find the decoded values covering a byte range of the stream, from the top level value to the deepest nested
+ * value. A collapsed range at a position is covered by the value of the byte at the position.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {number} start
+ * @param {number} end - equal to start for a position
+ * @returns {DecoderNode[]} empty if no value covers the range
+ */
+export function findNodes(nodes, start, end) {
+    const result = [];
+    const covers = node => node.start <= start && (end > start ? end <= getEnd(node) : start < getEnd(node));
+    for (let node = nodes.find(covers); node !== undefined; node = node.children.find(covers)) {
+        result.push(node);
+    }
+    return result;
+}
+
+export { DecoderState, Diagnostic } from "./cesr-decoder.js";
@@ -1,114 +1,387 @@
-import { CesrDecoder } from "./cesr-decoder.js";
-import { Utf8 } from "./utf8.js";
+import { DecoderTree, DecoderNode, MessageKinds } from "./decoder-tree.js";
+import { splitPath, resolvePath } from "./sad-path.js";
+import { SegmentKinds, segmentStream } from "./hex-dump.js";
+import { toJson, formatNode, formatKeyState, formatKeyStateFields, formatKelEvent, formatCredential, formatCredentialFields, formatEdge, formatRegistry, formatTelEvent } from "./decoder-format.js";
 
-function replacer(k, v) {
-    if (v instanceof Uint8Array) {
-        return Utf8.decode(v);
+export class DecoderUi extends DecoderTree {
+    /**
+     * Decoded value of each rendered `details` element
+     * @type {WeakMap<HTMLElement, DecoderNode>}
+     */
+    #nodes = new WeakMap();
+    /**
+     * Rendered `details` element of each decoded value
+     * @type {WeakMap<DecoderNode, HTMLElement>}
+     */
+    #elements = new WeakMap();
+    /**
+     * @param {CesrProtocol} protocol
+     */
+    constructor(protocol) {
+        super(protocol);
     }
-    return v;
-}
-function toJson(obj) {
-    return JSON.stringify(obj, replacer, 2);
-}
-function fromJson(json) {
-    return JSON.parse(json);
-}
-
-function formatHeader(code) {
-    const parts = [];
-    parts.push(code.header.value);
-    parts.push(code.header.typeName ?? code.header.serial);
-    for (const i of ["leadBytes", "size", "count", "version", "index", "ondex"]) {
-        if (Object.hasOwn(code.header, i)) {
-            parts.push(`${i}=${code.header[i]}`);
+    /**
+     * Render decoded values as nested `details` elements
+     * @param {HTMLElement} parent
+     * @param {DecoderNode[]} nodes
+     */
+    render(parent, nodes) {
+        for (const node of nodes) {
+            parent.appendChild(this.renderNode(node));
         }
     }
-    return parts.join(" ");
-}
-
-function formatJsonHeader(code, json) {
-    const parts = [];
-    parts.push(code.header.value);
-    parts.push(code.header.proto);
-    parts.push(`size=${code.header.size}`);
-    switch (code.header.proto) {
-        case "KERI10":
-            for (const i of ["t", "i", "r"]) {
-                if (Object.hasOwn(json, i)) {
-                    parts.push(`${i}=${json[i]}`);
-                }
-            }
-            break;
-        case "ACDC10":
-            for (const i of ["i", "s"]) {
-                if (Object.hasOwn(json, i)) {
-                    parts.push(`${i}=${json[i]}`);
+    /**
+     * @param {DecoderNode} node
+     * @returns {HTMLElement}
+     */
+    renderNode(node) {
+        const details = document.createElement("details");
+        this.#nodes.set(details, node);
+        this.#elements.set(node, details);
+        details.setAttribute("data-start", node.start);
+        details.setAttribute("data-end", node.end);
+        const summary = document.createElement("summary");
+        summary.innerText = formatNode(node);
+        details.appendChild(summary);
+        const results = [node.verified, node.saidVerified, node.thresholdSatisfied].filter(i => i !== undefined);
+        if (results.length > 0) {
+            details.classList.add(results.every(i => i) ? "valid" : "invalid");
+        }
+        switch (node.kind) {
+            case "json":
+            case "cbor":
+            case "mgpk":
+                details.classList.add("frame", node.kind);
+                details.appendChild(this.#renderValue(toJson(node.value)));
+                break;
+            case "frame":
+                details.classList.add("frame", "cesr");
+                details.appendChild(this.#renderChildren(node.children));
+                break;
+            case "group":
+                details.classList.add("group");
+                details.appendChild(this.#renderChildren(node.children));
+                if (node.path !== undefined) {
+                    details.appendChild(this.#renderPath(details, node));
                 }
-            }
-            break;
+                break;
+            case "op":
+                details.classList.add("op");
+                details.appendChild(this.#renderValue(node.qb64));
+                break;
+            case "leaf":
+                details.classList.add("leaf");
+                details.appendChild(node.raw !== undefined ? this.#renderValue(node.qb64, `raw=${node.raw}`) : this.#renderValue(node.qb64));
+                break;
+            case "diagnostic":
+                details.classList.add("diagnostic");
+                break;
+        }
+        return details;
     }
-    return parts.join(" ");
-}
-
-
-export class DecoderUi extends CesrDecoder {
     /**
-     * @param {CesrProtocol} protocol
+     * @param {DecoderNode} node
+     * @returns {HTMLElement | undefined} the `details` element of a rendered value
      */
-    constructor(protocol) {
-        super(protocol);
+    getDetails(node) {
+        return this.#elements.get(node);
+    }
+    /**
+     * Open a `details` element and the elements it is nested in, and scroll to it
+     * @param {HTMLElement} details
+     * @param {ScrollIntoViewOptions} [options]
+     */
+    reveal(details, options) {
+        for (let i = details; i !== null; i = i.parentElement?.closest("details") ?? null) {
+            i.open = true;
+        }
+        details.scrollIntoView(options);
+    }
+    /**
+     * Render key state of identifiers as `details` elements. Each event of the key event log links to the
+     * `details` element of its message in `report`.
+     * @param {HTMLElement} parent
+     * @param {Map<string, KeyState>} states
+     * @param {HTMLElement} report - element of rendered decoded values
+     */
+    renderKeyStates(parent, states, report) {
+        for (const state of states.values()) {
+            parent.appendChild(this.renderKeyState(state, report));
+        }
     }
-    mapDefault(frame, group, cesrValue, offset, header) {
-        const parent = (group?.value ?? frame.value);
+    /**
+     * @param {KeyState} state
+     * @param {HTMLElement} report
+     * @returns {HTMLElement}
+     */
+    renderKeyState(state, report) {
         const details = document.createElement("details");
-        details.setAttribute("data-start", offset.start);
-        details.setAttribute("data-end", offset.start + offset.length);
+        details.classList.add("keystate", state.errors.length === 0 ? "valid" : "invalid");
         const summary = document.createElement("summary");
-        header ??= formatHeader(cesrValue);
-        summary.innerText = header;
+        summary.innerText = formatKeyState(state);
         details.appendChild(summary);
-        parent.appendChild(details);
+        details.appendChild(this.#renderValue(formatKeyStateFields(state), ...state.errors));
+        const section = document.createElement("section");
+        section.classList.add("value", "links");
+        for (const event of state.events) {
+            section.appendChild(this.#renderEventLink(formatKelEvent(event), event, report));
+        }
+        details.appendChild(section);
         return details;
     }
-    mapJsonFrame(frame, group, cesrValue, offset) {
-        const json = fromJson(Utf8.decode(cesrValue.value));
-        const details = this.mapDefault(frame, group, cesrValue, offset, formatJsonHeader(cesrValue, json));
-        details.classList.add("frame", "json");
+    /**
+     * Render ACDC credentials as `details` elements. Edges link to the `details` element of the referenced
+     * credential, and each credential links to its message in `report`.
+     * @param {HTMLElement} parent
+     * @param {Map<string, Credential>} credentials
+     * @param {HTMLElement} report - element of rendered decoded values
+     */
+    renderCredentials(parent, credentials, report) {
+        /** @type {Map<string, HTMLElement>} */
+        const rendered = new Map();
+        for (const credential of credentials.values()) {
+            const details = this.renderCredential(credential, rendered, report);
+            rendered.set(credential.said, details);
+            parent.appendChild(details);
+        }
+    }
+    /**
+     * @param {Credential} credential
+     * @param {Map<string, HTMLElement>} rendered - `details` element of each rendered credential by SAID,
+     * looked up when a link is followed
+     * @param {HTMLElement} report
+     * @returns {HTMLElement}
+     */
+    renderCredential(credential, rendered, report) {
+        const details = document.createElement("details");
+        details.classList.add("credential");
+        if (credential.status !== undefined) {
+            details.classList.add(credential.status.errors.length === 0 ? "valid" : "invalid");
+        }
+        const summary = document.createElement("summary");
+        summary.innerText = formatCredential(credential);
+        details.appendChild(summary);
+        details.appendChild(this.#renderValue(formatCredentialFields(credential), toJson(credential.attributes), ...(credential.status?.errors ?? [])));
+        const find = said => () => rendered.get(said) ?? null;
         const section = document.createElement("section");
-        section.classList.add("value");
-        const value = document.createElement("code");
-        value.innerText = toJson(json);
-        section.appendChild(value);
+        section.classList.add("value", "links");
+        section.appendChild(this.#renderLink(`message ${credential.node.code}`, () => report.querySelector(`details[data-start="${credential.node.start}"]`)));
+        for (const edge of credential.edges) {
+            const link = this.#renderLink(formatEdge(edge), edge.credential !== undefined ? find(edge.said) : undefined);
+            if (edge.schemaMatches === false) link.classList.add("invalid");
+            section.appendChild(link);
+        }
+        for (const i of credential.referencedBy) {
+            section.appendChild(this.#renderLink(`referenced by ${i.said}`, find(i.said)));
+        }
+        for (const event of credential.status?.events ?? []) {
+            section.appendChild(this.#renderEventLink(formatTelEvent(event), event, report));
+        }
         details.appendChild(section);
         return details;
     }
-    mapCesrFrame(frame, group, cesrValue, offset) {
-        const details = this.mapDefault(frame, group, cesrValue, offset);
-        details.classList.add("frame", "cesr");
+    /**
+     * Render credential registries as `details` elements. Each event of the transaction event log links to
+     * the `details` element of its message in `report`.
+     * @param {HTMLElement} parent
+     * @param {Map<string, RegistryState>} registries
+     * @param {HTMLElement} report - element of rendered decoded values
+     */
+    renderRegistries(parent, registries, report) {
+        for (const registry of registries.values()) {
+            const details = document.createElement("details");
+            details.classList.add("registry", registry.errors.length === 0 ? "valid" : "invalid");
+            const summary = document.createElement("summary");
+            summary.innerText = formatRegistry(registry);
+            details.appendChild(summary);
+            if (registry.errors.length > 0) {
+                details.appendChild(this.#renderValue(...registry.errors));
+            }
+            const section = document.createElement("section");
+            section.classList.add("value", "links");
+            for (const event of registry.events) {
+                section.appendChild(this.#renderEventLink(formatTelEvent(event), event, report));
+            }
+            details.appendChild(section);
+            parent.appendChild(details);
+        }
+    }
+    /**
+     * Render input as rows of offset, hex and ASCII of 16 bytes. Bytes are coloured by the part of the encoded
+     * value they belong to, each run of bytes of a part has `data-start` and `data-end`.
+     * @param {HTMLElement} parent
+     * @param {Uint8Array} input
+     * @param {DecoderNode[]} nodes - top level nodes of the decoded input
+     */
+    renderHexDump(parent, input, nodes) {
+        const legend = document.createElement("div");
+        legend.classList.add("legend");
+        for (const kind of SegmentKinds) {
+            legend.appendChild(this.#renderSpan(kind, kind));
+        }
+        parent.appendChild(legend);
+        const segments = segmentStream(nodes, input.length);
+        let i = 0;
+        for (let row = 0; row < input.length; row += 16) {
+            const rowEnd = Math.min(row + 16, input.length);
+            const hex = this.#renderSpan("hex", "");
+            const ascii = this.#renderSpan("ascii", "");
+            for (let start = row; start < rowEnd;) {
+                while (segments[i].end <= start) i++;
+                const end = Math.min(segments[i].end, rowEnd);
+                const bytes = [...input.subarray(start, end)];
+                const hexText = bytes.map(j => j.toString(16).padStart(2, "0") + " ").join("");
+                const asciiText = bytes.map(j => j >= 0x20 && j < 0x7f ? String.fromCharCode(j) : ".").join("");
+                hex.appendChild(this.#renderSpan(segments[i].kind, hexText, start, end));
+                ascii.appendChild(this.#renderSpan(segments[i].kind, asciiText, start, end));
+                start = end;
+            }
+            const line = document.createElement("div");
+            line.appendChild(this.#renderSpan("offset", row.toString(16).padStart(8, "0")));
+            line.appendChild(hex);
+            line.appendChild(ascii);
+            parent.appendChild(line);
+        }
+    }
+    /**
+     * Mark the bytes of a range in a rendered hex dump as selected, and scroll to the first one
+     * @param {HTMLElement} parent - element of the rendered hex dump
+     * @param {number} start
+     * @param {number} end
+     */
+    selectHexDump(parent, start, end) {
+        let first = null;
+        for (const span of parent.querySelectorAll("span[data-start]")) {
+            const selected = Number(span.dataset.start) >= start && Number(span.dataset.end) <= end;
+            span.classList.toggle("selected", selected);
+            if (selected) first ??= span;
+        }
+        first?.scrollIntoView({ block: "nearest" });
+    }
+    /**
+     * Link to the message of a key event or transaction event
+     * @param {string} text
+     * @param {KelEvent | TelEvent} event
+     * @param {HTMLElement} report
+     * @returns {HTMLElement}
+     */
+    #renderEventLink(text, event, report) {
+        const link = this.#renderLink(text, () => report.querySelector(`details[data-start="${event.node.start}"]`));
+        if (event.chained === false || event.preRotation === false) link.classList.add("invalid");
+        return link;
+    }
+    /**
+     * Link of a SAD path group to the value it covers in the message the group is attached to
+     * @param {HTMLElement} details - element of the group
+     * @param {DecoderNode} node - the group
+     * @returns {HTMLElement}
+     */
+    #renderPath(details, node) {
         const section = document.createElement("section");
-        section.classList.add("value");
-        details.appendChild(section);
+        section.classList.add("value", "links");
+        const text = `path ${node.path}` + (node.targetStart !== undefined ? ` bytes ${node.targetStart}-${node.targetEnd}` : "");
+        if (!node.pathResolved) {
+            section.appendChild(this.#renderLink(`${text} unresolved`, undefined));
+            return section;
+        }
+        section.appendChild(this.#renderLink(text, () => {
+            // the message is the nearest preceding top level message of the group
+            let top = details;
+            while (top.parentElement?.closest("details")) top = top.parentElement.closest("details");
+            let message = top.previousElementSibling;
+            while (message !== null && !MessageKinds.includes(this.#nodes.get(message)?.kind)) message = message.previousElementSibling;
+            if (message === null) return null;
+            const code = message.querySelector(":scope>section.value>code");
+            if (code !== null) this.#markPath(code, this.#nodes.get(message).value, splitPath(node.path));
+            return message;
+        }));
         return section;
     }
-    mapCesrGroup(frame, group, cesrValue, offset) {
-        const details = this.mapDefault(frame, group, cesrValue, offset);
-        details.classList.add("group");
+    /**
+     * Render value as JSON with the value at path highlighted
+     * @param {HTMLElement} code
+     * @param {object} value
+     * @param {string[]} components
+     */
+    #markPath(code, value, components) {
+        const placeholder = "\u0000path\u0000";
+        let text = JSON.stringify(placeholder);
+        if (components.length > 0) {
+            const copy = structuredClone(value);
+            resolvePath(copy, components.slice(0, -1))[components.at(-1)] = placeholder;
+            text = toJson(copy);
+        }
+        const [before, after] = text.split(JSON.stringify(placeholder));
+        const mark = document.createElement("mark");
+        mark.innerText = toJson(resolvePath(value, components)).replaceAll("\n", "\n" + "  ".repeat(components.length));
+        code.replaceChildren(before, mark, after);
+    }
+    /**
+     * Link that opens, scrolls to and focuses a `details` element
+     * @param {string} text
+     * @param {(() => HTMLElement | null) | undefined} target - finds the element when clicked, undefined renders plain text
+     * @returns {HTMLElement}
+     */
+    #renderLink(text, target) {
+        if (target === undefined) {
+            const span = document.createElement("span");
+            span.innerText = text;
+            return span;
+        }
+        const link = document.createElement("a");
+        link.href = "#";
+        link.innerText = text;
+        link.addEventListener("click", e => {
+            e.preventDefault();
+            const details = target();
+            if (details === null) return;
+            this.reveal(details);
+            details.querySelector("summary").focus();
+        });
+        return link;
+    }
+    /**
+     * @param {string} className
+     * @param {string} text
+     * @param {number} [start] - offset of first byte of the text in input
+     * @param {number} [end]
+     * @returns {HTMLElement}
+     */
+    #renderSpan(className, text, start, end) {
+        const span = document.createElement("span");
+        span.classList.add(className);
+        span.innerText = text;
+        if (start !== undefined) {
+            span.setAttribute("data-start", start);
+            span.setAttribute("data-end", end);
+        }
+        return span;
+    }
+    /**
+     * @param {...string} texts - each text is rendered as a code block
+     * @returns {HTMLElement}
+     */
+    #renderValue(...texts) {
         const section = document.createElement("section");
         section.classList.add("value");
-        details.appendChild(section);
+        for (const text of texts) {
+            const value = document.createElement("code");
+            value.innerText = text;
+            section.appendChild(value);
+        }
         return section;
     }
-    mapCesrLeaf(frame, group, cesrValue, offset) {
-        const details = this.mapDefault(frame, group, cesrValue, offset);
-        details.classList.add("leaf");
+    /**
+     * @param {DecoderNode[]} nodes
+     * @returns {HTMLElement}
+     */
+    #renderChildren(nodes) {
         const section = document.createElement("section");
         section.classList.add("value");
-        const value = document.createElement("code");
-        value.innerText = Utf8.decode(cesrValue.value);
-        section.appendChild(value);
-        details.appendChild(section);
+        this.render(section, nodes);
         return section;
     }
 }
 
-export { DecoderState } from "./cesr-decoder.js";
+export { DecoderNode };
+export { DecoderState, Diagnostic } from "./cesr-decoder.js";
@@ -0,0 +1,222 @@
+import { getCesrValue } from "../../common/modules/cesr.js";
+import { Hex } from "./hex.js";
+import { Utf8 } from "./utf8.js";
+import { Digest } from "./digest.js";
+import { Threshold } from "./threshold.js";
+import { getAttachments } from "./decoder-tree.js";
+
+const Ed25519Sigs = Object.freeze(["Ed25519_Sig", "Ed25519_Crt_Sig", "Ed25519_Big_Sig", "Ed25519_Big_Crt_Sig"]);
+const Ed25519Keys = Object.freeze(["Ed25519", "Ed25519N"]);
+const EventTypes = Object.freeze(["icp", "rot", "ixn", "dip", "drt"]);
+
+/**
+ * @param {Uint8Array} key - raw public key
+ * @param {Uint8Array} signature - raw signature
+ * @param {Uint8Array} data
+ * @returns {Promise<boolean | undefined>} undefined if WebCrypto does not support Ed25519
+ */
+async function verifyEd25519(key, signature, data) {
+    let cryptoKey;
+    try {
+        cryptoKey = await crypto.subtle.importKey("raw", key, { name: "Ed25519" }, false, ["verify"]);
+    } catch (e) {
+        if (e.name === "NotSupportedError") return undefined;
+        return false;
+    }
+    return await crypto.subtle.verify({ name: "Ed25519" }, cryptoKey, signature, data);
+}
+
+/**
+ * @param {CesrProtocol} protocol - protocol with Matter codes
+ * @param {string | undefined} key - qb64 public key
+ * @param {DecoderNode} signature - indexed signature
+ * @param {Uint8Array} data - signed message
+ * @returns {Promise<boolean | undefined>} undefined if key is unknown or codes are not Ed25519
+ */
+async function verifySignature(protocol, key, signature, data) {
+    if (key === undefined || !Ed25519Sigs.includes(signature.typeName)) return undefined;
+    let verfer;
+    try {
+        verfer = getCesrValue(protocol, key);
+    } catch (e) {
+        // key of event is not a CESR primitive
+        return false;
+    }
+    if (!Ed25519Keys.includes(verfer.header.typeName)) return undefined;
+    return await verifyEd25519(verfer.raw, Hex.decode(signature.raw), data);
+}
+
+/**
+ * Track signing keys and witnesses of establishment events
+ * @param {object} event
+ * @param {Map<string, string[]>} keys
+ * @param {Map<string, string[]>} witnesses
+ */
+function updateKeyState(event, keys, witnesses) {
+    if (Array.isArray(event.k)) {
+        keys.set(event.i, event.k);
+    }
+    if (Array.isArray(event.b)) {
+        witnesses.set(event.i, event.b);
+    } else if (Array.isArray(event.br) || Array.isArray(event.ba)) {
+        const prior = witnesses.get(event.i) ?? [];
+        witnesses.set(event.i, prior.filter(i => !event.br?.includes(i)).concat(event.ba ?? []));
+    }
+}
+
+/**
+ * @param {object} event - KERI event or receipt
+ * @returns {string} key of the event receipted by a receipt with the same `i`, `s` and `d`
+ */
+function getEventKey(event) {
+    return `${event.i}:${event.s}:${event.d}`;
+}
+
+/**
+ * Verify the controller and witness signatures attached to each KERI message of a decoded stream.
+ * Signatures are paired by index with the signing keys and witnesses of the latest establishment event
+ * of the message's identifier. Witness signatures of `rct` messages are verified against the receipted
+ * event, they are not verified if the event is not in the stream. Each verified signature node is marked
+ * with `verified` true or false.
+ * @param {CesrProtocol} protocol - protocol with Matter codes
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {Uint8Array} input - the decoded stream
+ */
+export async function verifySignatures(protocol, nodes, input) {
+    const keys = new Map();
+    const witnesses = new Map();
+    const signed = [];
+    const events = new Map();
+    for (const { message, groups } of getAttachments(nodes)) {
+        if (message.protocol !== "KERI") continue;
+        updateKeyState(message.value, keys, witnesses);
+        const state = { message: message, keys: keys.get(message.value.i), witnesses: witnesses.get(message.value.i) };
+        if (EventTypes.includes(message.value.t) && !events.has(getEventKey(message.value))) {
+            events.set(getEventKey(message.value), state);
+        }
+        signed.push({ state: state, groups: groups });
+    }
+    for (const { state, groups } of signed) {
+        const target = state.message.value.t === "rct" ? events.get(getEventKey(state.message.value)) : state;
+        if (target === undefined) continue;
+        const data = input.subarray(target.message.start, target.message.end);
+        for (const group of groups) {
+            let signers;
+            switch (group.typeName) {
+                case "ControllerIdxSigs": signers = target.keys; break;
+                case "WitnessIdxSigs": signers = target.witnesses; break;
+                default: continue;
+            }
+            for (const signature of group.children) {
+                if (signature.kind !== "leaf" || signers === undefined) continue;
+                signature.verified = await verifySignature(protocol, signers[signature.index], signature, data);
+            }
+        }
+    }
+}
+
+/**
+ * Evaluate the signing threshold `kt` of the latest establishment event against the controller signatures
+ * attached to each KERI event of a decoded stream. Signatures that failed verification with
+ * {@link verifySignatures} are not counted. Each event node is marked with `thresholdSatisfied` and
+ * `signedWeight`, events of identifiers without a known establishment event are not marked.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ */
+export function verifyThresholds(nodes) {
+    const states = new Map();
+    for (const { message, groups } of getAttachments(nodes)) {
+        const event = message.value;
+        if (message.protocol !== "KERI" || !EventTypes.includes(event.t)) continue;
+        if (Object.hasOwn(event, "kt")) {
+            let threshold;
+            try {
+                threshold = new Threshold(event.kt);
+            } catch (e) {
+                // invalid threshold is not evaluated
+                threshold = undefined;
+            }
+            states.set(event.i, { threshold: threshold, size: Array.isArray(event.k) ? event.k.length : 0 });
+        }
+        const state = states.get(event.i);
+        if (state?.threshold === undefined) continue;
+        const indexes = groups
+            .filter(i => i.typeName === "ControllerIdxSigs")
+            .flatMap(i => i.children)
+            .filter(i => i.kind === "leaf" && i.verified !== false && i.index < state.size)
+            .map(i => i.index);
+        message.thresholdSatisfied = state.threshold.satisfy(indexes);
+        message.signedWeight = state.threshold.weigh(indexes);
+    }
+}
+
+/**
+ * Find string values of the fields of a serialized JSON object, nested objects are skipped
+ * @param {Uint8Array} bytes
+ * @returns {Map<string, {start: number, end: number}>} byte range of each string value without quotes
+ */
+function getFieldStrings(bytes) {
+    const result = new Map();
+    let depth = 0;
+    let key = null;
+    for (let i = 0; i < bytes.length; i++) {
+        switch (bytes[i]) {
+            case 0x22: { // "
+                const start = i + 1;
+                for (i++; i < bytes.length && bytes[i] !== 0x22; i++) {
+                    if (bytes[i] === 0x5c) i++; // skip escaped character
+                }
+                if (depth !== 1) break;
+                if (key === null) {
+                    key = Utf8.decode(bytes.subarray(start, i));
+                } else {
+                    result.set(key, { start: start, end: i });
+                }
+                break;
+            }
+            case 0x7b: // {
+            case 0x5b: // [
+                depth++;
+                break;
+            case 0x7d: // }
+            case 0x5d: // ]
+                depth--;
+                break;
+            case 0x2c: // ,
+                if (depth === 1) key = null;
+                break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Verify the self-addressing identifier `d` of each KERI event and ACDC of a decoded stream. The digest is
+ * computed over the serialized message with `d`, and `i` of self-addressing events where `i` equals `d`,
+ * replaced with `#` characters. Each verified message node is marked with `saidVerified` true or false.
+ * @param {CesrProtocol} protocol - protocol with Matter codes
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {Uint8Array} input - the decoded stream
+ */
+export async function verifySaids(protocol, nodes, input) {
+    for (const node of nodes) {
+        if (node.kind !== "json" || typeof node.value.d !== "string") continue;
+        let saider;
+        try {
+            saider = getCesrValue(protocol, node.value.d);
+        } catch (e) {
+            // d is not a CESR primitive
+            node.saidVerified = false;
+            continue;
+        }
+        if (!Digest.isSupported(saider.header.typeName)) continue;
+        const bytes = input.slice(node.start, node.end);
+        const fields = getFieldStrings(bytes);
+        const dummies = node.protocol === "KERI" && node.value.i === node.value.d ? ["d", "i"] : ["d"];
+        for (const i of dummies) {
+            const range = fields.get(i);
+            bytes.fill(0x23, range.start, range.end); // #
+        }
+        const digest = await Digest.digest(saider.header.typeName, bytes);
+        node.saidVerified = Hex.encode(digest) === saider.rawHex;
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * Digest algorithms of the CESR Dig codex. SHA2 uses WebCrypto, other algorithms are implemented here
+ * because WebCrypto does not support them.
+ */
+
+const IV32 = Object.freeze([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+const IV64 = Object.freeze([
+    0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+    0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n
+]);
+
+const MASK64 = 0xffffffffffffffffn;
+
+/**
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotr32(value, bits) {
+    return ((value >>> bits) | (value << (32 - bits))) >>> 0;
+}
+
+/**
+ * @param {bigint} value
+ * @param {bigint} bits
+ * @returns {bigint}
+ */
+function rotr64(value, bits) {
+    return ((value >> bits) | (value << (64n - bits))) & MASK64;
+}
+
+/**
+ * Read little endian 32 bit words, missing bytes are zero
+ * @param {Uint8Array} block
+ * @param {number} count
+ * @returns {number[]}
+ */
+function readWords32(block, count) {
+    const result = new Array(count).fill(0);
+    for (let i = 0; i < block.length; i++) {
+        result[i >> 2] |= block[i] << (8 * (i & 3));
+    }
+    return result.map(i => i >>> 0);
+}
+
+/**
+ * Read little endian 64 bit words, missing bytes are zero
+ * @param {Uint8Array} block
+ * @param {number} count
+ * @returns {bigint[]}
+ */
+function readWords64(block, count) {
+    const result = new Array(count).fill(0n);
+    for (let i = 0; i < block.length; i++) {
+        result[i >> 3] |= BigInt(block[i]) << BigInt(8 * (i & 7));
+    }
+    return result;
+}
+
+/**
+ * @param {number[]} words
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function writeWords32(words, length) {
+    const result = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        result[i] = words[i >> 2] >>> (8 * (i & 3));
+    }
+    return result;
+}
+
+/**
+ * @param {bigint[]} words
+ * @param {number} length
+ * @returns {Uint8Array}
+ */
+function writeWords64(words, length) {
+    const result = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        result[i] = Number((words[i >> 3] >> BigInt(8 * (i & 7))) & 0xffn);
+    }
+    return result;
+}
+
+/*
+ * BLAKE3 https://github.com/BLAKE3-team/BLAKE3-specs
+ */
+
+const Blake3Permutation = Object.freeze([2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8]);
+const Blake3Flags = Object.freeze({ chunkStart: 1, chunkEnd: 2, parent: 4, root: 8 });
+
+/**
+ * @param {number[]} cv - chaining value
+ * @param {number[]} m - message block
+ * @param {number} counter
+ * @param {number} blockLength
+ * @param {number} flags
+ * @returns {number[]}
+ */
+function blake3Compress(cv, m, counter, blockLength, flags) {
+    const v = [...cv, IV32[0], IV32[1], IV32[2], IV32[3], counter >>> 0, Math.floor(counter / 2 ** 32) >>> 0, blockLength, flags];
+    const g = (a, b, c, d, x, y) => {
+        v[a] = (v[a] + v[b] + x) >>> 0;
+        v[d] = rotr32(v[d] ^ v[a], 16);
+        v[c] = (v[c] + v[d]) >>> 0;
+        v[b] = rotr32(v[b] ^ v[c], 12);
+        v[a] = (v[a] + v[b] + y) >>> 0;
+        v[d] = rotr32(v[d] ^ v[a], 8);
+        v[c] = (v[c] + v[d]) >>> 0;
+        v[b] = rotr32(v[b] ^ v[c], 7);
+    };
+    for (let round = 0; round < 7; round++) {
+        g(0, 4, 8, 12, m[0], m[1]);
+        g(1, 5, 9, 13, m[2], m[3]);
+        g(2, 6, 10, 14, m[4], m[5]);
+        g(3, 7, 11, 15, m[6], m[7]);
+        g(0, 5, 10, 15, m[8], m[9]);
+        g(1, 6, 11, 12, m[10], m[11]);
+        g(2, 7, 8, 13, m[12], m[13]);
+        g(3, 4, 9, 14, m[14], m[15]);
+        m = Blake3Permutation.map(i => m[i]);
+    }
+    for (let i = 0; i < 8; i++) {
+        v[i] = (v[i] ^ v[i + 8]) >>> 0;
+        v[i + 8] = (v[i + 8] ^ cv[i]) >>> 0;
+    }
+    return v;
+}
+
+/**
+ * Input of the compression of a chunk or parent node, not yet known whether it is the root
+ */
+class Blake3Output {
+    constructor(cv, block, counter, blockLength, flags) {
+        this.cv = cv;
+        this.block = block;
+        this.counter = counter;
+        this.blockLength = blockLength;
+        this.flags = flags;
+    }
+    /** @returns {number[]} */
+    chainingValue() {
+        return blake3Compress(this.cv, this.block, this.counter, this.blockLength, this.flags).slice(0, 8);
+    }
+    /**
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    rootBytes(length) {
+        const result = new Uint8Array(length);
+        for (let counter = 0; counter * 64 < length; counter++) {
+            const words = blake3Compress(this.cv, this.block, counter, this.blockLength, this.flags | Blake3Flags.root);
+            result.set(writeWords32(words, Math.min(64, length - counter * 64)), counter * 64);
+        }
+        return result;
+    }
+}
+
+/**
+ * @param {Uint8Array} chunk - at most 1024 bytes
+ * @param {number} counter - chunk index
+ * @returns {Blake3Output}
+ */
+function blake3Chunk(chunk, counter) {
+    let cv = [...IV32];
+    let flags = Blake3Flags.chunkStart;
+    let offset = 0;
+    for (; chunk.length - offset > 64; offset += 64) {
+        cv = blake3Compress(cv, readWords32(chunk.subarray(offset, offset + 64), 16), counter, 64, flags).slice(0, 8);
+        flags = 0;
+    }
+    const block = chunk.subarray(offset);
+    return new Blake3Output(cv, readWords32(block, 16), counter, block.length, flags | Blake3Flags.chunkEnd);
+}
+
+/**
+ * @param {number[]} left
+ * @param {number[]} right
+ * @returns {Blake3Output}
+ */
+function blake3Parent(left, right) {
+    return new Blake3Output([...IV32], [...left, ...right], 0, 64, Blake3Flags.parent);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} length - length of digest in bytes
+ * @returns {Uint8Array}
+ */
+function blake3(data, length) {
+    const chunks = Math.max(1, Math.ceil(data.length / 1024));
+    const stack = [];
+    for (let i = 0; i < chunks - 1; i++) {
+        let cv = blake3Chunk(data.subarray(i * 1024, (i + 1) * 1024), i).chainingValue();
+        // merge completed subtrees, one for each trailing zero bit of the count of chunks
+        for (let total = i + 1; (total & 1) === 0; total >>= 1) {
+            cv = blake3Parent(stack.pop(), cv).chainingValue();
+        }
+        stack.push(cv);
+    }
+    let output = blake3Chunk(data.subarray((chunks - 1) * 1024), chunks - 1);
+    while (stack.length > 0) {
+        output = blake3Parent(stack.pop(), output.chainingValue());
+    }
+    return output.rootBytes(length);
+}
+
+/*
+ * BLAKE2b and BLAKE2s https://www.rfc-editor.org/rfc/rfc7693
+ */
+
+const Blake2Sigma = Object.freeze([
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+]);
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} length - length of digest in bytes, at most 64
+ * @returns {Uint8Array}
+ */
+function blake2b(data, length) {
+    const h = [...IV64];
+    h[0] ^= 0x01010000n ^ BigInt(length);
+    const blocks = Math.max(1, Math.ceil(data.length / 128));
+    for (let i = 0; i < blocks; i++) {
+        const last = i === blocks - 1;
+        const block = data.subarray(i * 128, (i + 1) * 128);
+        const m = readWords64(block, 16);
+        const v = [...h, ...IV64];
+        const t = BigInt(i * 128 + block.length);
+        v[12] ^= t & MASK64;
+        v[13] ^= t >> 64n;
+        if (last) v[14] ^= MASK64;
+        const g = (a, b, c, d, x, y) => {
+            v[a] = (v[a] + v[b] + x) & MASK64;
+            v[d] = rotr64(v[d] ^ v[a], 32n);
+            v[c] = (v[c] + v[d]) & MASK64;
+            v[b] = rotr64(v[b] ^ v[c], 24n);
+            v[a] = (v[a] + v[b] + y) & MASK64;
+            v[d] = rotr64(v[d] ^ v[a], 16n);
+            v[c] = (v[c] + v[d]) & MASK64;
+            v[b] = rotr64(v[b] ^ v[c], 63n);
+        };
+        for (let round = 0; round < 12; round++) {
+            const s = Blake2Sigma[round % 10];
+            g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+            g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+            g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+            g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+            g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+            g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+            g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+            g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+        }
+        for (let j = 0; j < 8; j++) {
+            h[j] ^= v[j] ^ v[j + 8];
+        }
+    }
+    return writeWords64(h, length);
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} length - length of digest in bytes, at most 32
+ * @returns {Uint8Array}
+ */
+function blake2s(data, length) {
+    const h = [...IV32];
+    h[0] = (h[0] ^ 0x01010000 ^ length) >>> 0;
+    const blocks = Math.max(1, Math.ceil(data.length / 64));
+    for (let i = 0; i < blocks; i++) {
+        const last = i === blocks - 1;
+        const block = data.subarray(i * 64, (i + 1) * 64);
+        const m = readWords32(block, 16);
+        const v = [...h, ...IV32];
+        const t = i * 64 + block.length;
+        v[12] = (v[12] ^ t) >>> 0;
+        v[13] = (v[13] ^ Math.floor(t / 2 ** 32)) >>> 0;
+        if (last) v[14] = ~v[14] >>> 0;
+        const g = (a, b, c, d, x, y) => {
+            v[a] = (v[a] + v[b] + x) >>> 0;
+            v[d] = rotr32(v[d] ^ v[a], 16);
+            v[c] = (v[c] + v[d]) >>> 0;
+            v[b] = rotr32(v[b] ^ v[c], 12);
+            v[a] = (v[a] + v[b] + y) >>> 0;
+            v[d] = rotr32(v[d] ^ v[a], 8);
+            v[c] = (v[c] + v[d]) >>> 0;
+            v[b] = rotr32(v[b] ^ v[c], 7);
+        };
+        for (let round = 0; round < 10; round++) {
+            const s = Blake2Sigma[round];
+            g(0, 4, 8, 12, m[s[0]], m[s[1]]);
+            g(1, 5, 9, 13, m[s[2]], m[s[3]]);
+            g(2, 6, 10, 14, m[s[4]], m[s[5]]);
+            g(3, 7, 11, 15, m[s[6]], m[s[7]]);
+            g(0, 5, 10, 15, m[s[8]], m[s[9]]);
+            g(1, 6, 11, 12, m[s[10]], m[s[11]]);
+            g(2, 7, 8, 13, m[s[12]], m[s[13]]);
+            g(3, 4, 9, 14, m[s[14]], m[s[15]]);
+        }
+        for (let j = 0; j < 8; j++) {
+            h[j] = (h[j] ^ v[j] ^ v[j + 8]) >>> 0;
+        }
+    }
+    return writeWords32(h, length);
+}
+
+/*
+ * SHA3 https://nvlpubs.nist.gov/nistpubs/FIPS/NIST.FIPS.202.pdf
+ */
+
+const KeccakRoundConstants = Object.freeze([
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+]);
+
+/** Rotation offsets of lane x + 5 * y */
+const KeccakRotations = Object.freeze([
+    0n, 1n, 62n, 28n, 27n, 36n, 44n, 6n, 55n, 20n, 3n, 10n, 43n, 25n, 39n,
+    41n, 45n, 15n, 21n, 8n, 18n, 2n, 61n, 56n, 14n
+]);
+
+/**
+ * Keccak-f[1600] permutation
+ * @param {bigint[]} a - 25 lanes
+ */
+function keccakF(a) {
+    const rotl = (value, bits) => bits === 0n ? value : ((value << bits) | (value >> (64n - bits))) & MASK64;
+    for (const rc of KeccakRoundConstants) {
+        // theta
+        const c = [0, 1, 2, 3, 4].map(x => a[x] ^ a[x + 5] ^ a[x + 10] ^ a[x + 15] ^ a[x + 20]);
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1n);
+            for (let y = 0; y < 25; y += 5) a[x + y] ^= d;
+        }
+        // rho and pi
+        const b = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(a[x + 5 * y], KeccakRotations[x + 5 * y]);
+            }
+        }
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                a[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK64 & b[(x + 2) % 5 + y]);
+            }
+        }
+        // iota
+        a[0] ^= rc;
+    }
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} length - length of digest in bytes, 32 or 64
+ * @returns {Uint8Array}
+ */
+function sha3(data, length) {
+    const rate = 200 - 2 * length;
+    // pad with SHA3 domain bits 01, then 10*1
+    const blocks = Math.floor(data.length / rate) + 1;
+    const padded = new Uint8Array(blocks * rate);
+    padded.set(data);
+    padded[data.length] ^= 0x06;
+    padded[padded.length - 1] ^= 0x80;
+    const a = new Array(25).fill(0n);
+    for (let i = 0; i < blocks; i++) {
+        const lanes = readWords64(padded.subarray(i * rate, (i + 1) * rate), rate / 8);
+        lanes.forEach((lane, j) => a[j] ^= lane);
+        keccakF(a);
+    }
+    return writeWords64(a, length);
+}
+
+/**
+ * @param {string} algorithm - WebCrypto digest algorithm name
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function sha2(algorithm, data) {
+    return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+export class Digest {
+    /**
+     * Digest algorithms by type name of the Matter codex
+     */
+    static #algorithms = Object.freeze({
+        Blake3_256: async data => blake3(data, 32),
+        Blake3_512: async data => blake3(data, 64),
+        Blake2b_256: async data => blake2b(data, 32),
+        Blake2b_512: async data => blake2b(data, 64),
+        Blake2s_256: async data => blake2s(data, 32),
+        SHA3_256: async data => sha3(data, 32),
+        SHA3_512: async data => sha3(data, 64),
+        SHA2_256: async data => await sha2("SHA-256", data),
+        SHA2_512: async data => await sha2("SHA-512", data),
+    });
+    /**
+     * @param {string} typeName - type name of digest code, for example Blake3_256
+     * @returns {boolean}
+     */
+    static isSupported(typeName) {
+        return Object.hasOwn(Digest.#algorithms, typeName);
+    }
+    /**
+     * @param {string} typeName - type name of digest code, for example Blake3_256
+     * @param {Uint8Array} data
+     * @returns {Promise<Uint8Array>}
+     */
+    static async digest(typeName, data) {
+        if (!Digest.isSupported(typeName)) throw new TypeError(`Digest.digest: unsupported ${typeName}`);
+        return await Digest.#algorithms[typeName](data);
+    }
+}
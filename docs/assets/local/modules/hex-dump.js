@@ -0,0 +1,55 @@
+import { MessageKinds } from "./decoder-tree.js";
+
+/**
+ * Kinds of byte ranges of a hex dump
+ */
+export const SegmentKinds = Object.freeze(["hard", "soft", "lead", "payload", "message", "unknown"]);
+
+/**
+ * Byte ranges of the parts of an encoded value: hard code, soft code or size digits, lead bytes and payload.
+ * Frames and groups only have a code, their nested values follow it. In the qb2 domain the parts are not
+ * aligned on bytes, a byte shared by two parts belongs to the first one.
+ * @param {DecoderNode} node
+ * @returns {{kind: string, start: number, end: number}[]} non-empty ranges in order of the input
+ */
+export function getSegments(node) {
+    if (MessageKinds.includes(node.kind)) return [{ kind: "message", start: node.start, end: node.end }];
+    if (node.code === undefined) return [{ kind: "unknown", start: node.start, end: node.end }];
+    // Base64 characters in qb64 carry 6 bits, bytes in qb2 carry 8 bits
+    const size = bits => Math.ceil(bits / (node.binary ? 8 : 6));
+    const hardEnd = node.start + size(6 * (node.hardSize ?? node.code.length));
+    const codeEnd = node.start + size(6 * node.code.length);
+    // lead bytes precede the raw bytes, with the pad bits of the code in qb64
+    const payloadStart = node.raw !== undefined ? Math.max(codeEnd, node.end - size(4 * node.raw.length)) : codeEnd;
+    return [
+        { kind: "hard", start: node.start, end: hardEnd },
+        { kind: "soft", start: hardEnd, end: codeEnd },
+        { kind: "lead", start: codeEnd, end: payloadStart },
+        { kind: "payload", start: payloadStart, end: node.end }
+    ].filter(i => i.start < i.end);
+}
+
+/**
+ * Byte ranges of the parts of each decoded value of a stream, with the bytes not covered by a decoded value
+ * as unknown
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {number} length - length of the input
+ * @returns {{kind: string, start: number, end: number}[]} ranges covering the input in order
+ */
+export function segmentStream(nodes, length) {
+    const result = [];
+    let offset = 0;
+    const visit = list => {
+        for (const node of list) {
+            for (const segment of getSegments(node)) {
+                if (segment.start > offset) result.push({ kind: "unknown", start: offset, end: segment.start });
+                if (segment.end > offset) result.push({ kind: segment.kind, start: Math.max(offset, segment.start), end: segment.end });
+                offset = Math.max(offset, segment.end);
+            }
+            visit(node.children);
+        }
+    };
+    visit(nodes);
+    if (offset < length) result.push({ kind: "unknown", start: offset, end: length });
+    return result;
+}
@@ -22,4 +22,26 @@ export class Hex {
         }
         return result;
     }
-}
\ No newline at end of file
+    /**
+     * @param {string} value
+     * @returns {Uint8Array}
+     */
+    static decode(value) {
+        const result = new Uint8Array(value.length >> 1);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = Hex.toInt(value.slice(2 * i, 2 * i + 2));
+        }
+        return result;
+    }
+    /**
+     * @param {Uint8Array} value
+     * @returns {string}
+     */
+    static encode(value) {
+        let result = "";
+        for (const byte of value) {
+            result += Hex.#HEX[byte >> 4] + Hex.#HEX[byte & 0xf];
+        }
+        return result;
+    }
+}
@@ -0,0 +1,355 @@
+import { getCesrValue } from "../../common/modules/cesr.js";
+import { Utf8 } from "./utf8.js";
+import { Hex } from "./hex.js";
+import { Digest } from "./digest.js";
+import { Threshold } from "./threshold.js";
+import { MessageKinds } from "./decoder-tree.js";
+
+const EventTypes = Object.freeze(["icp", "rot", "ixn", "dip", "drt"]);
+const InceptionTypes = Object.freeze(["icp", "dip"]);
+const EstablishmentTypes = Object.freeze(["icp", "rot", "dip", "drt"]);
+
+/**
+ * A key event of a key event log
+ */
+export class KelEvent {
+    /**
+     * Sequence number `s`
+     * @type {number}
+     */
+    sn;
+    /**
+     * Event type `t`
+     * @type {string}
+     */
+    type;
+    /**
+     * SAID `d` of the event
+     * @type {string}
+     */
+    digest;
+    /**
+     * Prior event digest `p`, undefined for inception events
+     * @type {string | undefined}
+     */
+    prior;
+    /**
+     * True if `p` equals `d` of the prior event, undefined for inception events and if the prior event is missing
+     * @type {boolean | undefined}
+     */
+    chained;
+    /**
+     * Next key threshold `nt` of the prior establishment event, for rotation events
+     * @type {string | string[] | string[][] | undefined}
+     */
+    priorNextThreshold;
+    /**
+     * Next key digests `n` of the prior establishment event, for rotation events
+     * @type {string[] | undefined}
+     */
+    priorNextDigests;
+    /**
+     * Indexes of `priorNextDigests` that match the digest of a key of the rotation event
+     * @type {number[] | undefined}
+     */
+    revealed;
+    /**
+     * True if the revealed keys satisfy `priorNextThreshold`, undefined if not verified
+     * @type {boolean | undefined}
+     */
+    preRotation;
+    /**
+     * Count of `rct` messages of the event
+     * @type {number}
+     */
+    receipts;
+    /**
+     * The decoded message, the first one if the event occurs many times in the stream
+     * @type {DecoderNode}
+     */
+    node;
+    constructor(obj) {
+        Object.assign(this, obj);
+        this.receipts ??= 0;
+    }
+}
+
+/**
+ * Current key state of an identifier after processing its key event log
+ */
+export class KeyState {
+    /**
+     * The identifier `i`
+     * @type {string}
+     */
+    prefix;
+    /**
+     * Sequence number of the latest event
+     * @type {number}
+     */
+    sn = -1;
+    /**
+     * SAID of the latest event
+     * @type {string | undefined}
+     */
+    digest;
+    /**
+     * Sequence number of the latest establishment event
+     * @type {number | undefined}
+     */
+    establishment;
+    /**
+     * Signing threshold `kt`
+     * @type {string | string[] | string[][] | undefined}
+     */
+    signingThreshold;
+    /**
+     * Signing keys `k`
+     * @type {string[]}
+     */
+    keys = [];
+    /**
+     * Next key threshold `nt`
+     * @type {string | string[] | string[][] | undefined}
+     */
+    nextThreshold;
+    /**
+     * Next key digests `n`
+     * @type {string[]}
+     */
+    nextDigests = [];
+    /**
+     * Witness threshold `bt`
+     * @type {string | undefined}
+     */
+    witnessThreshold;
+    /**
+     * Witnesses `b`, updated with `br` and `ba` of rotations
+     * @type {string[]}
+     */
+    witnesses = [];
+    /**
+     * Delegator `di` of delegated identifiers
+     * @type {string | undefined}
+     */
+    delegator;
+    /**
+     * Events ordered by sequence number
+     * @type {KelEvent[]}
+     */
+    events = [];
+    /**
+     * Descriptions of invalid, missing and duplicitous events
+     * @type {string[]}
+     */
+    errors = [];
+    /**
+     * @param {string} prefix
+     */
+    constructor(prefix) {
+        this.prefix = prefix;
+    }
+    /**
+     * Apply the fields of an establishment event
+     * @param {object} event
+     */
+    #establish(event) {
+        this.signingThreshold = event.kt;
+        this.keys = Array.isArray(event.k) ? event.k : [];
+        this.nextThreshold = event.nt;
+        this.nextDigests = Array.isArray(event.n) ? event.n : [];
+        this.witnessThreshold = event.bt;
+        if (Array.isArray(event.b)) {
+            this.witnesses = event.b;
+        } else {
+            this.witnesses = this.witnesses.filter(i => !event.br?.includes(i)).concat(event.ba ?? []);
+        }
+        if (InceptionTypes.includes(event.t)) {
+            this.delegator = event.di;
+        }
+    }
+    /**
+     * Append the next event of the log
+     * @param {KelEvent} kelEvent
+     */
+    apply(kelEvent) {
+        const event = kelEvent.node.value;
+        checkChain(this, kelEvent, InceptionTypes);
+        if (EstablishmentTypes.includes(kelEvent.type)) {
+            if (!InceptionTypes.includes(kelEvent.type) && this.establishment !== undefined) {
+                kelEvent.priorNextThreshold = this.nextThreshold;
+                kelEvent.priorNextDigests = this.nextDigests;
+            }
+            this.#establish(event);
+            this.establishment = kelEvent.sn;
+        }
+        this.sn = kelEvent.sn;
+        this.digest = kelEvent.digest;
+        this.events.push(kelEvent);
+    }
+}
+
+/**
+ * Check the next event of a key or transaction event log against the latest event of the log. The sequence
+ * number must follow the latest one, only the first event is an inception event, and the prior event digest
+ * `p` must match the SAID of the prior event. Sets `chained` of the event and records errors in the log.
+ * @param {{sn: number, events: {sn: number, digest: string}[], errors: string[]}} log - {@link KeyState} or TelState
+ * @param {{sn: number, type: string, prior: string | undefined, chained: boolean | undefined}} event - {@link KelEvent} or TelEvent
+ * @param {readonly string[]} inceptionTypes - event types of the first event
+ */
+export function checkChain(log, event, inceptionTypes) {
+    if (event.sn !== log.sn + 1) {
+        log.errors.push(`sn=${log.sn + 1} event missing`);
+    }
+    if (event.sn === 0) {
+        if (!inceptionTypes.includes(event.type)) log.errors.push(`sn=0 t=${event.type} is not an inception event`);
+    } else {
+        if (inceptionTypes.includes(event.type)) log.errors.push(`sn=${event.sn} t=${event.type} inception event after sn=0`);
+        const prior = log.events.at(-1);
+        if (prior !== undefined && prior.sn === event.sn - 1) {
+            event.chained = event.prior === prior.digest;
+            if (!event.chained) log.errors.push(`sn=${event.sn} p=${event.prior} does not match d=${prior.digest} of sn=${prior.sn}`);
+        }
+    }
+}
+
+/**
+ * @param {string} s - hex sequence number
+ * @returns {number} NaN if not a hex number
+ */
+export function parseSn(s) {
+    return typeof s === "string" && /^[0-9a-f]+$/.test(s) ? parseInt(s, 16) : NaN;
+}
+
+/**
+ * Group the KERI events of a decoded stream by identifier `i` and order them by sequence number `s`. Events
+ * that occur many times in the stream are collected once. Of duplicitous events with the same sequence number
+ * and different `d` the first one is collected.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {string[]} types - event types `t` to collect
+ * @returns {Map<string, {events: {sn: number, node: DecoderNode}[], errors: string[]}>} events of each
+ * identifier, in order of first event in the stream, with descriptions of invalid and duplicitous events
+ */
+export function groupEvents(nodes, types) {
+    /** @type {Map<string, {log: Map<number, DecoderNode[]>, errors: string[]}>} */
+    const logs = new Map();
+    for (const node of nodes) {
+        if (!MessageKinds.includes(node.kind) || node.protocol !== "KERI") continue;
+        const event = node.value;
+        if (!types.includes(event.t) || typeof event.i !== "string") continue;
+        if (!logs.has(event.i)) logs.set(event.i, { log: new Map(), errors: [] });
+        const { log, errors } = logs.get(event.i);
+        const sn = parseSn(event.s);
+        if (Number.isNaN(sn)) {
+            errors.push(`s=${event.s} invalid sequence number`);
+            continue;
+        }
+        if (!log.has(sn)) log.set(sn, []);
+        const events = log.get(sn);
+        if (events.some(i => i.value.d === event.d)) continue;
+        events.push(node);
+    }
+    const result = new Map();
+    for (const [prefix, { log, errors }] of logs) {
+        const events = [];
+        for (const sn of [...log.keys()].sort((a, b) => a - b)) {
+            const [first, ...duplicates] = log.get(sn);
+            if (duplicates.length > 0) {
+                errors.push(`sn=${sn} duplicitous events d=${[first, ...duplicates].map(i => i.value.d).join(",")}`);
+            }
+            events.push({ sn: sn, node: first });
+        }
+        result.set(prefix, { events: events, errors: errors });
+    }
+    return result;
+}
+
+/**
+ * Build the key event log of each identifier of a decoded stream. Events are grouped by `i` and ordered by
+ * `s`, events that occur many times in the stream are processed once. The prior event digest `p` of each
+ * event is checked against the SAID of the preceding event, and keys, thresholds, next key digests and
+ * witnesses are tracked through rotations.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @returns {Map<string, KeyState>} key state of each identifier, in order of first event in the stream
+ */
+export function processKels(nodes) {
+    const result = new Map();
+    for (const [prefix, { events, errors }] of groupEvents(nodes, EventTypes)) {
+        const state = new KeyState(prefix);
+        state.errors.push(...errors);
+        for (const { sn, node } of events) {
+            state.apply(new KelEvent({ sn: sn, type: node.value.t, digest: node.value.d, prior: node.value.p, node: node }));
+        }
+        result.set(prefix, state);
+    }
+    const receipts = nodes.filter(i => MessageKinds.includes(i.kind) && i.protocol === "KERI" && i.value.t === "rct").map(i => i.value);
+    for (const receipt of receipts) {
+        const event = result.get(receipt.i)?.events.find(i => i.sn === parseSn(receipt.s) && i.digest === receipt.d);
+        if (event !== undefined) event.receipts++;
+    }
+    return result;
+}
+
+/**
+ * Match the keys of a rotation event with the next key digests of the prior establishment event
+ * @param {CesrProtocol} protocol - protocol with Matter codes
+ * @param {string[]} keys - qb64 keys `k`
+ * @param {string[]} digests - qb64 digests `n`
+ * @returns {Promise<number[] | undefined>} indexes of matched digests, undefined if a digest code is not supported
+ */
+async function getRevealed(protocol, keys, digests) {
+    const result = [];
+    const cache = new Map();
+    for (const [index, digest] of digests.entries()) {
+        let diger;
+        try {
+            diger = getCesrValue(protocol, digest);
+        } catch (e) {
+            // digest is not a CESR primitive
+            continue;
+        }
+        const typeName = diger.header.typeName;
+        if (!Digest.isSupported(typeName)) return undefined;
+        if (!cache.has(typeName)) {
+            cache.set(typeName, await Promise.all(keys.map(async i => Hex.encode(await Digest.digest(typeName, Utf8.encode(i))))));
+        }
+        if (cache.get(typeName).includes(diger.rawHex)) result.push(index);
+    }
+    return result;
+}
+
+/**
+ * Verify the pre-rotation commitments of the rotation events of key event logs. The qb64 of each key `k`
+ * of a rotation event is digested with the codes of the next key digests `n` of the prior establishment
+ * event. The indexes of the matching digests must satisfy the next key threshold `nt` of the prior
+ * establishment event. Each rotation event is marked with `revealed` and `preRotation`.
+ * @param {CesrProtocol} protocol - protocol with Matter codes
+ * @param {Map<string, KeyState>} states - result of {@link processKels}
+ */
+export async function verifyPreRotation(protocol, states) {
+    for (const state of states.values()) {
+        for (const event of state.events) {
+            if (event.priorNextDigests === undefined) continue;
+            const keys = event.node.value.k;
+            event.revealed = await getRevealed(protocol, Array.isArray(keys) ? keys : [], event.priorNextDigests);
+            if (event.revealed === undefined) continue;
+            let threshold;
+            try {
+                threshold = new Threshold(event.priorNextThreshold);
+            } catch (e) {
+                event.preRotation = false;
+                state.errors.push(`sn=${event.sn} prior next threshold nt=${JSON.stringify(event.priorNextThreshold)} invalid`);
+                continue;
+            }
+            if (threshold.weighted && threshold.size !== event.priorNextDigests.length) {
+                event.preRotation = false;
+                state.errors.push(`sn=${event.sn} prior next threshold nt=${threshold} does not match ${event.priorNextDigests.length} next key digests`);
+                continue;
+            }
+            event.preRotation = threshold.satisfy(event.revealed);
+            if (!event.preRotation) {
+                state.errors.push(`sn=${event.sn} revealed next keys ${event.revealed.join(",")} do not satisfy prior next threshold nt=${threshold}`);
+            }
+        }
+    }
+}
@@ -0,0 +1,172 @@
+import { Utf8 } from "./utf8.js";
+
+/**
+ * Sequential reader of MessagePack values
+ * https://github.com/msgpack/msgpack/blob/master/spec.md
+ */
+export class MsgpackReader {
+    /** @type {Uint8Array} */
+    #input;
+    /** @type {DataView} */
+    #view;
+    /**
+     * Offset of next unread byte
+     * @type {number}
+     */
+    offset;
+    /**
+     * @param {Uint8Array} input
+     */
+    constructor(input) {
+        this.#input = input;
+        this.#view = new DataView(input.buffer, input.byteOffset, input.byteLength);
+        this.offset = 0;
+    }
+    /**
+     * @param {number} length
+     */
+    #ensure(length) {
+        if (this.offset + length > this.#input.length) throw new RangeError(`MsgpackReader: unexpected end of input at ${this.offset}`);
+    }
+    /**
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    #readBytes(length) {
+        this.#ensure(length);
+        const result = this.#input.slice(this.offset, this.offset + length);
+        this.offset += length;
+        return result;
+    }
+    /**
+     * Read big endian unsigned or signed integer
+     * @param {number} length - 1, 2, 4 or 8 bytes
+     * @param {boolean} signed
+     * @returns {number}
+     */
+    #readInt(length, signed) {
+        this.#ensure(length);
+        let result;
+        switch (length) {
+            case 1: result = signed ? this.#view.getInt8(this.offset) : this.#view.getUint8(this.offset); break;
+            case 2: result = signed ? this.#view.getInt16(this.offset) : this.#view.getUint16(this.offset); break;
+            case 4: result = signed ? this.#view.getInt32(this.offset) : this.#view.getUint32(this.offset); break;
+            case 8: result = Number(signed ? this.#view.getBigInt64(this.offset) : this.#view.getBigUint64(this.offset)); break;
+        }
+        this.offset += length;
+        return result;
+    }
+    /**
+     * Read map header of fixmap, map16 or map32
+     * @returns {number} count of key value pairs
+     */
+    readMapHeader() {
+        const type = this.#readInt(1, false);
+        if ((type & 0xf0) === 0x80) return type & 0x0f;
+        if (type === 0xde) return this.#readInt(2, false);
+        if (type === 0xdf) return this.#readInt(4, false);
+        throw new TypeError(`MsgpackReader: expected map at ${this.offset - 1}`);
+    }
+    /**
+     * Read next complete value
+     * @returns {any}
+     */
+    readValue() {
+        const type = this.#readInt(1, false);
+        if (type <= 0x7f) return type;
+        if (type >= 0xe0) return type - 0x100;
+        if ((type & 0xf0) === 0x80) return this.#readMap(type & 0x0f);
+        if ((type & 0xf0) === 0x90) return this.#readArray(type & 0x0f);
+        if ((type & 0xe0) === 0xa0) return Utf8.decode(this.#readBytes(type & 0x1f));
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return this.#readBytes(this.#readInt(1, false));
+            case 0xc5: return this.#readBytes(this.#readInt(2, false));
+            case 0xc6: return this.#readBytes(this.#readInt(4, false));
+            case 0xc7: return this.#readExt(this.#readInt(1, false));
+            case 0xc8: return this.#readExt(this.#readInt(2, false));
+            case 0xc9: return this.#readExt(this.#readInt(4, false));
+            case 0xca: {
+                this.#ensure(4);
+                const result = this.#view.getFloat32(this.offset);
+                this.offset += 4;
+                return result;
+            }
+            case 0xcb: {
+                this.#ensure(8);
+                const result = this.#view.getFloat64(this.offset);
+                this.offset += 8;
+                return result;
+            }
+            case 0xcc: return this.#readInt(1, false);
+            case 0xcd: return this.#readInt(2, false);
+            case 0xce: return this.#readInt(4, false);
+            case 0xcf: return this.#readInt(8, false);
+            case 0xd0: return this.#readInt(1, true);
+            case 0xd1: return this.#readInt(2, true);
+            case 0xd2: return this.#readInt(4, true);
+            case 0xd3: return this.#readInt(8, true);
+            case 0xd4: return this.#readExt(1);
+            case 0xd5: return this.#readExt(2);
+            case 0xd6: return this.#readExt(4);
+            case 0xd7: return this.#readExt(8);
+            case 0xd8: return this.#readExt(16);
+            case 0xd9: return Utf8.decode(this.#readBytes(this.#readInt(1, false)));
+            case 0xda: return Utf8.decode(this.#readBytes(this.#readInt(2, false)));
+            case 0xdb: return Utf8.decode(this.#readBytes(this.#readInt(4, false)));
+            case 0xdc: return this.#readArray(this.#readInt(2, false));
+            case 0xdd: return this.#readArray(this.#readInt(4, false));
+            case 0xde: return this.#readMap(this.#readInt(2, false));
+            case 0xdf: return this.#readMap(this.#readInt(4, false));
+            default: throw new TypeError(`MsgpackReader: invalid type ${type} at ${this.offset - 1}`);
+        }
+    }
+    /**
+     * @param {number} count
+     * @returns {Array}
+     */
+    #readArray(count) {
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            result.push(this.readValue());
+        }
+        return result;
+    }
+    /**
+     * @param {number} count
+     * @returns {object}
+     */
+    #readMap(count) {
+        const result = {};
+        for (let i = 0; i < count; i++) {
+            const key = this.readValue();
+            result[key] = this.readValue();
+        }
+        return result;
+    }
+    /**
+     * Extension types are not interpreted, return the payload bytes
+     * @param {number} length
+     * @returns {Uint8Array}
+     */
+    #readExt(length) {
+        this.#readInt(1, true); // type
+        return this.#readBytes(length);
+    }
+}
+
+export class Msgpack {
+    /**
+     * Decode single MessagePack value
+     * @param {Uint8Array} value
+     * @returns {any}
+     */
+    static decode(value) {
+        const reader = new MsgpackReader(value);
+        const result = reader.readValue();
+        if (reader.offset !== value.length) throw new TypeError(`Msgpack.decode: ${value.length - reader.offset} trailing bytes`);
+        return result;
+    }
+}
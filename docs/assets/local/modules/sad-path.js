@@ -0,0 +1,239 @@
+import { Hex } from "./hex.js";
+import { Utf8 } from "./utf8.js";
+import { getAttachments } from "./decoder-tree.js";
+
+const PathGroups = Object.freeze(["SadPathSig", "SadPathSigGroup", "PathedMaterialQuadlets"]);
+
+/**
+ * Decode the path of a SAD path primitive. Paths are encoded as Base64 text with StrB64 codes or as UTF-8 bytes
+ * with Bytes codes, and consist of components separated by `-`, like `-a-i`. The path `-` is the root.
+ * @param {DecoderNode} node - leaf value
+ * @returns {string | undefined} undefined if node is not a path primitive
+ */
+export function getPath(node) {
+    if (node.kind !== "leaf" || node.typeName === undefined) return undefined;
+    if (node.typeName.startsWith("StrB64_")) {
+        // text is prepadded with 'A' characters, one to three depending on lead bytes
+        const text = node.qb64.slice(node.code.length);
+        const ls = node.leadBytes ?? 0;
+        const ws = ls === 0 ? (text.startsWith("A") ? 1 : 0) : ls + 1;
+        return text.slice(ws);
+    }
+    if (node.typeName.startsWith("Bytes_") && node.raw !== undefined) {
+        return Utf8.decode(Hex.decode(node.raw));
+    }
+    return undefined;
+}
+
+/**
+ * @param {string} path
+ * @returns {string[] | null} components of the path, null if path does not start with `-`
+ */
+export function splitPath(path) {
+    if (!path.startsWith("-")) return null;
+    return path.split("-").slice(1).filter(i => i !== "");
+}
+
+/**
+ * @param {string} base - path of enclosing group
+ * @param {string} path
+ * @returns {string}
+ */
+function joinPath(base, path) {
+    if (base === "-") return path;
+    if (path === "-") return base;
+    return base + path;
+}
+
+/**
+ * Scanner of byte ranges of values in a serialized JSON value
+ */
+class JsonScanner {
+    /** @type {Uint8Array} */
+    #bytes;
+    /** @type {number} */
+    offset;
+    /**
+     * @param {Uint8Array} bytes
+     */
+    constructor(bytes) {
+        this.#bytes = bytes;
+        this.offset = 0;
+    }
+    #skipWhitespace() {
+        while ([0x20, 0x09, 0x0a, 0x0d].includes(this.#bytes[this.offset])) this.offset++;
+    }
+    /**
+     * @param {number} byte
+     */
+    #expect(byte) {
+        this.#skipWhitespace();
+        if (this.#bytes[this.offset] !== byte) throw new SyntaxError(`JsonScanner: expected ${String.fromCharCode(byte)} at ${this.offset}`);
+        this.offset++;
+    }
+    /**
+     * @returns {string}
+     */
+    #readString() {
+        this.#skipWhitespace();
+        const start = this.offset;
+        this.#expect(0x22); // "
+        while (this.offset < this.#bytes.length && this.#bytes[this.offset] !== 0x22) {
+            if (this.#bytes[this.offset] === 0x5c) this.offset++; // skip escaped character
+            this.offset++;
+        }
+        this.#expect(0x22);
+        return JSON.parse(Utf8.decode(this.#bytes.subarray(start, this.offset)));
+    }
+    /**
+     * Skip next value
+     */
+    #skipValue() {
+        this.#skipWhitespace();
+        switch (this.#bytes[this.offset]) {
+            case 0x22: // "
+                this.#readString();
+                return;
+            case 0x7b: // {
+                this.offset++;
+                this.#skipWhitespace();
+                if (this.#bytes[this.offset] === 0x7d) {
+                    this.offset++;
+                    return;
+                }
+                do {
+                    this.#readString();
+                    this.#expect(0x3a); // :
+                    this.#skipValue();
+                    this.#skipWhitespace();
+                } while (this.#bytes[this.offset++] === 0x2c); // ,
+                if (this.#bytes[this.offset - 1] !== 0x7d) throw new SyntaxError(`JsonScanner: expected } at ${this.offset - 1}`);
+                return;
+            case 0x5b: // [
+                this.offset++;
+                this.#skipWhitespace();
+                if (this.#bytes[this.offset] === 0x5d) {
+                    this.offset++;
+                    return;
+                }
+                do {
+                    this.#skipValue();
+                    this.#skipWhitespace();
+                } while (this.#bytes[this.offset++] === 0x2c);
+                if (this.#bytes[this.offset - 1] !== 0x5d) throw new SyntaxError(`JsonScanner: expected ] at ${this.offset - 1}`);
+                return;
+            default:
+                // number, true, false or null
+                while (this.offset < this.#bytes.length && !",]} \t\r\n".includes(String.fromCharCode(this.#bytes[this.offset]))) this.offset++;
+                return;
+        }
+    }
+    /**
+     * Find byte range of the value at path
+     * @param {string[]} components - field labels of objects and indexes of arrays
+     * @returns {{start: number, end: number} | null} null if path does not exist
+     */
+    locate(components) {
+        this.#skipWhitespace();
+        if (components.length === 0) {
+            const start = this.offset;
+            this.#skipValue();
+            return { start: start, end: this.offset };
+        }
+        const [component, ...rest] = components;
+        switch (this.#bytes[this.offset]) {
+            case 0x7b: // {
+                this.offset++;
+                this.#skipWhitespace();
+                if (this.#bytes[this.offset] === 0x7d) return null;
+                do {
+                    const label = this.#readString();
+                    this.#expect(0x3a);
+                    if (label === component) return this.locate(rest);
+                    this.#skipValue();
+                    this.#skipWhitespace();
+                } while (this.#bytes[this.offset++] === 0x2c);
+                return null;
+            case 0x5b: { // [
+                if (!/^\d+$/.test(component)) return null;
+                const index = Number(component);
+                this.offset++;
+                this.#skipWhitespace();
+                if (this.#bytes[this.offset] === 0x5d) return null;
+                let i = 0;
+                do {
+                    if (i++ === index) return this.locate(rest);
+                    this.#skipValue();
+                    this.#skipWhitespace();
+                } while (this.#bytes[this.offset++] === 0x2c);
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+}
+
+/**
+ * Find the value at path in a decoded message
+ * @param {any} value
+ * @param {string[]} components
+ * @returns {any} undefined if path does not exist
+ */
+export function resolvePath(value, components) {
+    for (const component of components) {
+        if (Array.isArray(value)) {
+            value = /^\d+$/.test(component) ? value[Number(component)] : undefined;
+        } else if (typeof value === "object" && value !== null && Object.hasOwn(value, component)) {
+            value = value[component];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+/**
+ * @param {DecoderNode} message
+ * @param {DecoderNode} group
+ * @param {string} base - path of enclosing group
+ * @param {Uint8Array} input
+ */
+function resolveGroup(message, group, base, input) {
+    const [first] = group.children;
+    const path = first !== undefined ? getPath(first) : undefined;
+    if (path === undefined) return;
+    group.path = joinPath(base, path);
+    const components = splitPath(group.path);
+    group.pathResolved = components !== null && resolvePath(message.value, components) !== undefined;
+    if (group.pathResolved && message.kind === "json") {
+        try {
+            const range = new JsonScanner(input.subarray(message.start, message.end)).locate(components);
+            if (range !== null) {
+                group.targetStart = message.start + range.start;
+                group.targetEnd = message.start + range.end;
+            }
+        } catch (e) {
+            // message is not valid JSON, byte range is unknown
+        }
+    }
+    for (const child of group.children) {
+        if (child.kind === "group" && PathGroups.includes(child.typeName)) resolveGroup(message, child, group.path, input);
+    }
+}
+
+/**
+ * Resolve the paths of `SadPathSig`, `SadPathSigGroup` and `PathedMaterialQuadlets` groups attached to each
+ * message of a decoded stream. Paths of nested groups are relative to the path of the enclosing group. Each
+ * group is marked with `path` and `pathResolved`, and with `targetStart` and `targetEnd` of the referenced
+ * value if the message is JSON.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @param {Uint8Array} input - the decoded stream
+ */
+export function resolveSadPaths(nodes, input) {
+    for (const { message, groups } of getAttachments(nodes)) {
+        for (const group of groups) {
+            if (PathGroups.includes(group.typeName)) resolveGroup(message, group, "-", input);
+        }
+    }
+}
@@ -0,0 +1,243 @@
+import { groupEvents, checkChain } from "./key-state.js";
+
+const RegistryTypes = Object.freeze(["vcp", "vrt"]);
+const CredentialTypes = Object.freeze(["iss", "rev", "bis", "brv"]);
+const IssuanceTypes = Object.freeze(["iss", "bis"]);
+const RevocationTypes = Object.freeze(["rev", "brv"]);
+
+/**
+ * An event of a transaction event log
+ */
+export class TelEvent {
+    /**
+     * Sequence number `s`
+     * @type {number}
+     */
+    sn;
+    /**
+     * Event type `t`
+     * @type {string}
+     */
+    type;
+    /**
+     * SAID `d` of the event
+     * @type {string}
+     */
+    digest;
+    /**
+     * Prior event digest `p`, undefined for inception and issuance events
+     * @type {string | undefined}
+     */
+    prior;
+    /**
+     * True if `p` equals `d` of the prior event, undefined for inception and issuance events and if the prior
+     * event is missing
+     * @type {boolean | undefined}
+     */
+    chained;
+    /**
+     * The decoded message, the first one if the event occurs many times in the stream
+     * @type {DecoderNode}
+     */
+    node;
+    constructor(obj) {
+        Object.assign(this, obj);
+    }
+}
+
+/**
+ * State of a transaction event log after processing its events
+ */
+class TelState {
+    /**
+     * Sequence number of the latest event
+     * @type {number}
+     */
+    sn = -1;
+    /**
+     * SAID of the latest event
+     * @type {string | undefined}
+     */
+    digest;
+    /**
+     * Events ordered by sequence number
+     * @type {TelEvent[]}
+     */
+    events = [];
+    /**
+     * Descriptions of invalid, missing and duplicitous events
+     * @type {string[]}
+     */
+    errors = [];
+    /**
+     * Event types of the first event
+     * @type {readonly string[]}
+     */
+    get inceptionTypes() {
+        return [];
+    }
+    /**
+     * Apply the fields of an event
+     * @param {TelEvent} telEvent
+     * @param {boolean} valid - false if {@link checkChain} recorded errors for the event
+     */
+    update(telEvent, valid) {
+    }
+    /**
+     * Append the next event of the log
+     * @param {TelEvent} telEvent
+     */
+    apply(telEvent) {
+        const errors = this.errors.length;
+        checkChain(this, telEvent, this.inceptionTypes);
+        this.update(telEvent, this.errors.length === errors);
+        this.sn = telEvent.sn;
+        this.digest = telEvent.digest;
+        this.events.push(telEvent);
+    }
+}
+
+/**
+ * State of a credential registry after processing its `vcp` and `vrt` events
+ */
+export class RegistryState extends TelState {
+    /**
+     * The registry identifier `i`
+     * @type {string}
+     */
+    prefix;
+    /**
+     * Issuer `ii` of the registry
+     * @type {string | undefined}
+     */
+    issuer;
+    /**
+     * Configuration traits `c`
+     * @type {string[]}
+     */
+    config = [];
+    /**
+     * Backer threshold `bt`
+     * @type {string | undefined}
+     */
+    backerThreshold;
+    /**
+     * Backers `b`, updated with `br` and `ba` of rotations
+     * @type {string[]}
+     */
+    backers = [];
+    /**
+     * @param {string} prefix
+     */
+    constructor(prefix) {
+        super();
+        this.prefix = prefix;
+    }
+    get inceptionTypes() {
+        return ["vcp"];
+    }
+    update(telEvent, valid) {
+        const event = telEvent.node.value;
+        if (event.t === "vcp") {
+            this.issuer = event.ii;
+            this.config = Array.isArray(event.c) ? event.c : [];
+        }
+        this.backerThreshold = event.bt;
+        if (Array.isArray(event.b)) {
+            this.backers = event.b;
+        } else {
+            this.backers = this.backers.filter(i => !event.br?.includes(i)).concat(event.ba ?? []);
+        }
+    }
+}
+
+/**
+ * Issued or revoked status of a credential after processing its `iss`, `rev`, `bis` and `brv` events
+ */
+export class CredentialStatus extends TelState {
+    /**
+     * SAID of the credential, the `i` of its events
+     * @type {string}
+     */
+    said;
+    /**
+     * Registry `ri` of `iss` and `rev` events or `ra.i` of `bis` and `brv` events
+     * @type {string | undefined}
+     */
+    registry;
+    /**
+     * One of issued or revoked, undefined if the log has no valid events
+     * @type {string | undefined}
+     */
+    status;
+    /**
+     * Date `dt` of the latest valid event
+     * @type {string | undefined}
+     */
+    date;
+    /**
+     * @param {string} said
+     */
+    constructor(said) {
+        super();
+        this.said = said;
+    }
+    get inceptionTypes() {
+        return IssuanceTypes;
+    }
+    /**
+     * The status changes with valid events only. An event is invalid if it breaks the chain of the log,
+     * names another registry, or follows the revocation.
+     * @param {TelEvent} telEvent
+     * @param {boolean} valid
+     */
+    update(telEvent, valid) {
+        const event = telEvent.node.value;
+        const registry = typeof event.ri === "string" ? event.ri : event.ra?.i;
+        if (this.registry !== undefined && registry !== this.registry) {
+            this.errors.push(`s=${event.s} registry ${registry} does not match ${this.registry}`);
+            valid = false;
+        }
+        this.registry ??= registry;
+        if (telEvent.sn > 1) {
+            this.errors.push(`sn=${telEvent.sn} event after revocation`);
+            valid = false;
+        }
+        if (!valid) return;
+        if (IssuanceTypes.includes(event.t)) {
+            this.status = "issued";
+        } else if (RevocationTypes.includes(event.t)) {
+            this.status = "revoked";
+        }
+        this.date = event.dt;
+    }
+}
+
+/**
+ * Build the transaction event logs of a decoded stream. Registry events are grouped by registry and credential
+ * events by credential SAID, both ordered by `s`. The prior event digest `p` of each event is checked against
+ * the SAID of the preceding event, and the latest event of each credential determines its status.
+ * @param {DecoderNode[]} nodes - top level nodes of a decoded stream
+ * @returns {{registries: Map<string, RegistryState>, credentials: Map<string, CredentialStatus>}}
+ */
+export function processTels(nodes) {
+    const registries = new Map();
+    for (const [prefix, { events, errors }] of groupEvents(nodes, RegistryTypes)) {
+        const state = new RegistryState(prefix);
+        state.errors.push(...errors);
+        for (const { sn, node } of events) {
+            state.apply(new TelEvent({ sn: sn, type: node.value.t, digest: node.value.d, prior: node.value.p, node: node }));
+        }
+        registries.set(prefix, state);
+    }
+    const credentials = new Map();
+    for (const [said, { events, errors }] of groupEvents(nodes, CredentialTypes)) {
+        const status = new CredentialStatus(said);
+        status.errors.push(...errors);
+        for (const { sn, node } of events) {
+            status.apply(new TelEvent({ sn: sn, type: node.value.t, digest: node.value.d, prior: node.value.p, node: node }));
+        }
+        credentials.set(said, status);
+    }
+    return { registries: registries, credentials: credentials };
+}
@@ -0,0 +1,145 @@
+/**
+ * @param {bigint} a
+ * @param {bigint} b
+ * @returns {bigint}
+ */
+function gcd(a, b) {
+    while (b !== 0n) [a, b] = [b, a % b];
+    return a;
+}
+
+/**
+ * Exact rational weight of a weighted threshold
+ */
+export class Fraction {
+    /** @type {bigint} */
+    numerator;
+    /** @type {bigint} */
+    denominator;
+    /**
+     * @param {bigint} numerator
+     * @param {bigint} denominator
+     */
+    constructor(numerator, denominator = 1n) {
+        const divisor = gcd(numerator, denominator) || 1n;
+        this.numerator = numerator / divisor;
+        this.denominator = denominator / divisor;
+    }
+    /**
+     * @param {string} text - weight like `1/2`, `0` or `1`
+     * @returns {Fraction}
+     */
+    static parse(text) {
+        const match = typeof text === "string" ? /^(\d+)(?:\/(\d+))?$/.exec(text) : null;
+        if (match === null || BigInt(match[2] ?? "1") === 0n) throw new TypeError(`Fraction: invalid weight ${JSON.stringify(text)}`);
+        const result = new Fraction(BigInt(match[1]), BigInt(match[2] ?? "1"));
+        if (result.numerator > result.denominator) throw new TypeError(`Fraction: weight ${text} greater than 1`);
+        return result;
+    }
+    /**
+     * @param {Fraction} other
+     * @returns {Fraction}
+     */
+    add(other) {
+        return new Fraction(this.numerator * other.denominator + other.numerator * this.denominator, this.denominator * other.denominator);
+    }
+    /**
+     * @returns {boolean} true if this is greater than or equal to 1
+     */
+    isWhole() {
+        return this.numerator >= this.denominator;
+    }
+    toString() {
+        return this.denominator === 1n ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+    }
+}
+
+/**
+ * Signing or next key threshold `kt` or `nt` of a KERI establishment event. A threshold is either an integer
+ * count of keys in hex, a list of fractional weights, or a list of clauses of fractional weights. Weights are
+ * matched to keys by index, in case of clauses the indexes continue from one clause to the next. A weighted
+ * threshold is satisfied if the sum of weights is at least 1 in each clause.
+ */
+export class Threshold {
+    /**
+     * Integer threshold, undefined if weighted
+     * @type {number | undefined}
+     */
+    count;
+    /**
+     * Clauses of a weighted threshold, undefined if integer
+     * @type {Fraction[][] | undefined}
+     */
+    clauses;
+    /**
+     * @param {string | number | string[] | string[][]} value - the `kt` or `nt` field
+     */
+    constructor(value) {
+        if (typeof value === "number" && Number.isInteger(value) && value >= 0) {
+            this.count = value;
+        } else if (typeof value === "string" && /^[0-9a-f]+$/.test(value)) {
+            this.count = parseInt(value, 16);
+        } else if (Array.isArray(value) && value.length > 0 && value.every(i => typeof i === "string")) {
+            this.clauses = [value.map(i => Fraction.parse(i))];
+        } else if (Array.isArray(value) && value.length > 0 && value.every(i => Array.isArray(i) && i.length > 0)) {
+            this.clauses = value.map(i => i.map(j => Fraction.parse(j)));
+        } else {
+            throw new TypeError(`Threshold: invalid threshold ${JSON.stringify(value)}`);
+        }
+    }
+    /**
+     * True if threshold is fractionally weighted
+     * @type {boolean}
+     */
+    get weighted() {
+        return this.clauses !== undefined;
+    }
+    /**
+     * Count of keys the threshold applies to, undefined for integer thresholds
+     * @type {number | undefined}
+     */
+    get size() {
+        return this.clauses?.reduce((size, clause) => size + clause.length, 0);
+    }
+    /**
+     * Sum of weights of each clause for the keys of the indexes
+     * @param {Iterable<number>} indexes
+     * @returns {Fraction[]}
+     */
+    #clauseWeights(indexes) {
+        const set = new Set(indexes);
+        let offset = 0;
+        return this.clauses.map(clause => {
+            let sum = new Fraction(0n);
+            clause.forEach((weight, i) => {
+                if (set.has(offset + i)) sum = sum.add(weight);
+            });
+            offset += clause.length;
+            return sum;
+        });
+    }
+    /**
+     * @param {Iterable<number>} indexes - indexes of keys that signed or were revealed
+     * @returns {boolean}
+     */
+    satisfy(indexes) {
+        if (this.count !== undefined) return new Set(indexes).size >= this.count;
+        return this.#clauseWeights(indexes).every(i => i.isWhole());
+    }
+    /**
+     * Signed weight compared to the required weight, like `1/2 of 1` or `2 of 3` for integer thresholds. For
+     * multi-clause thresholds the weights of each clause are listed.
+     * @param {Iterable<number>} indexes - indexes of keys that signed
+     * @returns {string}
+     */
+    weigh(indexes) {
+        if (this.count !== undefined) return `${new Set(indexes).size} of ${this.count}`;
+        const weights = this.#clauseWeights(indexes);
+        if (weights.length === 1) return `${weights[0]} of 1`;
+        return `[${weights.join(",")}] of [${weights.map(() => "1").join(",")}]`;
+    }
+    toString() {
+        if (this.count !== undefined) return `${this.count}`;
+        return this.clauses.map(i => `[${i.join(",")}]`).join(",");
+    }
+}
@@ -1,5 +1,6 @@
 const encoder = new TextEncoder();
 const decoder = new TextDecoder();
+const strictDecoder = new TextDecoder("utf-8", { fatal: true, ignoreBOM: true });
 
 export class Utf8 {
     static encode(value) {
@@ -8,4 +9,31 @@ export class Utf8 {
     static decode(value) {
         return decoder.decode(value);
     }
+    /**
+     * @param {Uint8Array} value
+     * @returns {string | null} null if value is not valid UTF-8
+     */
+    static decodeStrict(value) {
+        try {
+            return strictDecoder.decode(value);
+        } catch (e) {
+            return null;
+        }
+    }
+    /**
+     * @param {string} text
+     * @param {number} offset - byte offset in the UTF-8 encoding of text
+     * @returns {number} index of the UTF-16 code unit at offset
+     */
+    static toIndex(text, offset) {
+        return decoder.decode(encoder.encode(text).subarray(0, offset)).length;
+    }
+    /**
+     * @param {string} text
+     * @param {number} index - index of a UTF-16 code unit of text
+     * @returns {number} byte offset in the UTF-8 encoding of text
+     */
+    static toOffset(text, index) {
+        return encoder.encode(text.slice(0, index)).length;
+    }
 }
\ No newline at end of file
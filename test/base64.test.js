@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Base64 } from "../docs/assets/local/modules/base64.js";
+
+test("encode and decode bytes", () => {
+    const bytes = new Uint8Array([0xfb, 0xff, 0x00, 0x10, 0x83, 0x7f]);
+    for (let length = 0; length <= bytes.length; length++) {
+        const text = Base64.encode(bytes.subarray(0, length));
+        assert.equal(text.length, Math.ceil(length * 4 / 3));
+        assert.deepEqual(Base64.decode(text), bytes.subarray(0, length));
+    }
+    assert.equal(Base64.encode(bytes), "-_8AEIN_");
+    assert.deepEqual(Base64.decode("-_8="), bytes.subarray(0, 2));
+});
+
+test("integers", () => {
+    assert.equal(Base64.toInt("AX"), 23);
+    assert.equal(Base64.fromInt(23, 2), "AX");
+    assert.equal(Base64.fromInt(4095, 2), "__");
+    assert.throws(() => Base64.fromInt(4096, 2), RangeError);
+});
+
+test("Base64 alphabet", () => {
+    assert.equal(Base64.isBase64("AZaz09-_"), true);
+    assert.equal(Base64.isBase64(""), true);
+    assert.equal(Base64.isBase64("AB+/"), false);
+    assert.equal(Base64.isBase64("AB=="), false);
+});
+
+test("invalid character", () => {
+    assert.throws(() => Base64.toInt("A!"), { message: `Base64.valueOf: invalid character "!"` });
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Cbor, CborReader } from "../docs/assets/local/modules/cbor.js";
+import { Hex } from "../docs/assets/local/modules/hex.js";
+
+// examples of RFC 8949 appendix A
+const examples = [
+    ["00", 0],
+    ["17", 23],
+    ["1818", 24],
+    ["1903e8", 1000],
+    ["1a000f4240", 1000000],
+    ["1b000000e8d4a51000", 1000000000000],
+    ["20", -1],
+    ["3903e7", -1000],
+    ["f90001", 5.960464477539063e-8],
+    ["f93c00", 1],
+    ["fa47c35000", 100000],
+    ["fb3ff199999999999a", 1.1],
+    ["f4", false],
+    ["f5", true],
+    ["f6", null],
+    ["4401020304", new Uint8Array([1, 2, 3, 4])],
+    ["6449455446", "IETF"],
+    ["62c3bc", "ü"],
+    ["83010203", [1, 2, 3]],
+    ["a26161016162820203", { a: 1, b: [2, 3] }],
+    ["c074323031332d30332d32315432303a30343a30305a", "2013-03-21T20:04:00Z"],
+    ["5f42010243030405ff", new Uint8Array([1, 2, 3, 4, 5])],
+    ["7f657374726561646d696e67ff", "streaming"],
+    ["9f018202039f0405ffff", [1, [2, 3], [4, 5]]],
+    ["bf61610161629f0203ffff", { a: 1, b: [2, 3] }],
+];
+
+for (const [hex, expected] of examples) {
+    test(`decode ${hex}`, () => {
+        assert.deepEqual(Cbor.decode(Hex.decode(hex)), expected);
+    });
+}
+
+test("decode truncated and invalid items", () => {
+    assert.throws(() => Cbor.decode(Hex.decode("1903")), RangeError);
+    assert.throws(() => Cbor.decode(Hex.decode("a161")), RangeError);
+    assert.throws(() => Cbor.decode(Hex.decode("1c")), TypeError);
+    assert.throws(() => Cbor.decode(Hex.decode("0000")), TypeError);
+});
+
+test("read head of map", () => {
+    const reader = new CborReader(Hex.decode("a26161016162820203"));
+    assert.deepEqual(reader.readHead(), { major: 5, info: 2, argument: 2 });
+    assert.equal(reader.readValue(), "a");
+    assert.equal(reader.offset, 3);
+});
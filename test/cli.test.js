@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../bin/cesr-decode.js", import.meta.url));
+const samples = new URL("../docs/samples/", import.meta.url);
+
+/**
+ * @param {...string} args
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [cli, ...args], (error, stdout, stderr) => {
+            resolve({ code: error?.code ?? 0, stdout: stdout, stderr: stderr });
+        });
+    });
+}
+
+test("decode file", async () => {
+    const result = await run(fileURLToPath(new URL("qvi-vc.cesr", samples)));
+    assert.equal(result.code, 0);
+    assert.match(result.stdout, /^KERI10JSON00025d KERI10 size=605/);
+    assert.equal(result.stderr, "");
+});
+
+test("decode missing file", async () => {
+    const result = await run(fileURLToPath(new URL("missing.cesr", samples)));
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /^CESR decode failed: ENOENT/);
+    assert.doesNotMatch(result.stderr, /\n\s+at /);
+});
+
+test("decode garbage", async () => {
+    const dir = await mkdtemp(join(tmpdir(), "cesr-decode-"));
+    try {
+        for (const input of ["-VA!", "hello", "-VAB!AAA"]) {
+            const file = join(dir, "garbage.cesr");
+            await writeFile(file, input);
+            const result = await run(file);
+            assert.equal(result.code, 1, input);
+            // a reason follows the prefix
+            assert.match(result.stderr, /^CESR decode failed: \S/, input);
+        }
+    } finally {
+        await rm(dir, { recursive: true });
+    }
+});
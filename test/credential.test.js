@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DecoderNode } from "../docs/assets/local/modules/decoder-tree.js";
+import { processCredentials } from "../docs/assets/local/modules/credential.js";
+import { formatCredentialFields, formatEdge } from "../docs/assets/local/modules/decoder-format.js";
+import { decodeSample } from "./helpers.js";
+
+const QVI = "EOiLKDVNJj-2FCWypOKEwC_QcWmu5KIJ7Ux2qXVXSo3I";
+const LE = "EFqofzPcuO58Jbs2XrzdDmJMGEXu-CeA5dNmdjyAB3r5";
+const ECR = "EJLgCMSUQ4hpfnebBz0LY-JYEDhe4UrfjBUuOORSVafZ";
+
+test("credentials of ecr-vc.cesr", async () => {
+    const credentials = processCredentials(await decodeSample("ecr-vc.cesr"));
+    assert.deepEqual([...credentials.keys()], [QVI, LE, ECR]);
+    const ecr = credentials.get(ECR);
+    assert.equal(ecr.issuer, "EPDM_wn388A9e6uxftDs_fn1CPUnRSLTRWydt9BnSzKx");
+    assert.equal(ecr.issuee, "EPmIPWHl87b8pJMYuRmLK26H0IifHmvY1cP9hWx-U19q");
+    assert.equal(ecr.schema, "EEy9PkikFcANV1l7EHukCeXqrzT1hNZjGlUk7wuMO5jw");
+    assert.equal(ecr.registry, "EG33ryPHon0_R4mGn3Qcyid-EAQZ3hk7C0TnyhEl4FCx");
+    assert.equal(ecr.attributes.engagementContextRole, "Project Manager");
+    assert.equal(ecr.node.start, (await decodeSample("ecr-vc.cesr")).find(i => i.value?.d === ECR).start);
+});
+
+test("edge chain of ecr-vc.cesr", async () => {
+    const credentials = processCredentials(await decodeSample("ecr-vc.cesr"));
+    const chain = [];
+    for (let i = credentials.get(ECR); i !== undefined; i = i.edges[0]?.credential) {
+        chain.push([i.said, i.edges.map(j => j.label)]);
+    }
+    assert.deepEqual(chain, [[ECR, ["le"]], [LE, ["qvi"]], [QVI, []]]);
+    assert.deepEqual(credentials.get(QVI).referencedBy.map(i => i.said), [LE]);
+    assert.deepEqual(credentials.get(LE).referencedBy.map(i => i.said), [ECR]);
+    assert.equal(credentials.get(ECR).edges[0].schemaMatches, true);
+});
+
+test("credentials of oor-vc.cesr", async () => {
+    const credentials = processCredentials(await decodeSample("oor-vc.cesr"));
+    assert.equal(credentials.size, 4);
+    const [auth] = [...credentials.values()].at(-1).edges;
+    assert.equal(formatEdge(auth), "edge auth n=EGeKp-eTEdxEI_L-f2gN8cnpSyIAO8FquSq7gBVq_FQ4 s=EKA57bKBKxr_kN7iN5i7lMUxpMG-s19dRcmov1iDxz-E o=I2I resolved");
+});
+
+test("unresolved edge and compact blocks", () => {
+    const credentials = processCredentials([new DecoderNode({
+        kind: "json", protocol: "ACDC", start: 0, end: 1,
+        value: { d: "D", i: "I", s: "S", a: "A", e: { d: "E", qvi: { n: "N", s: "S2" } }, r: "R" }
+    })]);
+    const credential = credentials.get("D");
+    assert.equal(credential.issuee, undefined);
+    assert.equal(credential.edges[0].credential, undefined);
+    assert.equal(credential.edges[0].schemaMatches, undefined);
+    assert.equal(formatEdge(credential.edges[0]), "edge qvi n=N s=S2 unresolved");
+    assert.equal(formatCredentialFields(credential), "issuer=I\nschema=S\nedges=E\nrules=R");
+});
+
+test("edge with mismatched schema", () => {
+    const credentials = processCredentials([
+        new DecoderNode({ kind: "json", protocol: "ACDC", start: 0, end: 1, value: { d: "A", i: "I", s: "S1", a: { i: "J" } } }),
+        new DecoderNode({ kind: "json", protocol: "ACDC", start: 1, end: 2, value: { d: "B", i: "J", s: "S2", e: { le: { n: "A", s: "S3" } } } })
+    ]);
+    assert.equal(credentials.get("B").edges[0].schemaMatches, false);
+    assert.match(formatEdge(credentials.get("B").edges[0]), / resolved schema=invalid$/);
+});
@@ -0,0 +1,222 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ShortageError, UnknownCodeError } from "../docs/assets/common/modules/cesr-schema.js";
+import { DecoderTree, DecoderNode, DecoderState, getEnd } from "../docs/assets/local/modules/decoder-tree.js";
+import { Base64 } from "../docs/assets/local/modules/base64.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { protocol, decode, readSample } from "./helpers.js";
+
+const sig = `AA${"A".repeat(86)}`;
+const message = `{"v":"KERI10JSON000023_","t":"rpy"}`;
+
+/**
+ * @param {DecoderNode[]} nodes
+ * @returns {string[]} code of each node and its descendants, children in parentheses
+ */
+function codes(nodes) {
+    return nodes.map(node => node.children.length > 0 ? `${node.code}(${codes(node.children).join(",")})` : node.code);
+}
+
+/**
+ * Assert that nested values are within the range of their parent
+ * @param {DecoderNode[]} nodes
+ */
+function assertNested(nodes) {
+    for (const node of nodes) {
+        for (const child of node.children) {
+            assert.ok(child.start >= node.end && child.end <= getEnd(node), `${child.kind} ${child.start}-${child.end} in ${node.code} ${node.start}-${getEnd(node)}`);
+        }
+        assertNested(node.children);
+    }
+}
+
+test("decode qb2 frames", () => {
+    const { nodes } = decode(Base64.decode(`-VAX-AAB${sig}-VAB_AAB`));
+    assert.deepEqual(codes(nodes), [`-VAX(-AAB(AA))`, `-VAB(_AAB)`]);
+    const [attachments, ops] = nodes;
+    assert.equal(attachments.binary, true);
+    assert.deepEqual([attachments.start, attachments.end, attachments.count], [0, 3, 23]);
+    const group = attachments.children[0];
+    assert.deepEqual([group.start, group.end], [3, 6]);
+    const leaf = group.children[0];
+    assert.deepEqual([leaf.start, leaf.end, leaf.typeName, leaf.qb64], [6, 72, "Ed25519_Sig", sig]);
+    assert.deepEqual([ops.start, ops.end], [72, 75]);
+});
+
+test("switch counter tables on genus/version code", () => {
+    const { nodes } = decode(Utf8.encode(`--AAACAA-AAW${sig}--AAABAA-VAX-AAB${sig}`));
+    assert.deepEqual(codes(nodes), ["--AAACAA", "-AAW(AA)", "--AAABAA", "-VAX(-AAB(AA))"]);
+    // ControllerIdxSigs is a frame of quadlets in CESR 2.0 and a group of signatures in CESR 1.0
+    assert.deepEqual(nodes.map(i => i.kind), ["leaf", "frame", "leaf", "frame"]);
+    assert.deepEqual([nodes[1].typeName, nodes[1].count], ["ControllerIdxSigs", 22]);
+    const group = nodes[3].children[0];
+    assert.deepEqual([group.kind, group.typeName, group.count], ["group", "ControllerIdxSigs", 1]);
+});
+
+test("genus/version code applies to the rest of its frame", () => {
+    const { nodes } = decode(Utf8.encode(`-VAZ--AAACAA-AAW${sig}-VAX-AAB${sig}`));
+    assert.deepEqual(codes(nodes), ["-VAZ(--AAACAA,-AAW(AA))", "-VAX(-AAB(AA))"]);
+    assert.deepEqual([nodes[0].children[1].kind, nodes[1].children[0].kind], ["frame", "group"]);
+});
+
+test("switch counter tables on qb2 genus/version code", () => {
+    const { nodes } = decode(Base64.decode(`--AAACAA-AAW${sig}`));
+    assert.deepEqual(codes(nodes), ["--AAACAA", "-AAW(AA)"]);
+    assert.deepEqual(nodes.map(i => [i.kind, i.binary, i.start, i.end]), [["leaf", true, 0, 6], ["frame", true, 6, 9]]);
+});
+
+test("code tables of genus/version code", () => {
+    const version = code => protocol.getGenusVersion(protocol.getCodeTable("--AAA").mapCodeHeader(code));
+    assert.deepEqual(version("--AAACAA").names, ["Matter", "OpCode", "AltCounter", "ProtocolGenus"]);
+    assert.deepEqual(version("--AAABAA").names, ["Matter", "OpCode", "Counter"]);
+});
+
+test("decode op codes", () => {
+    const { nodes } = decode(Utf8.encode(`_AAB-VAB_AAC`));
+    assert.deepEqual(codes(nodes), ["_AAB", "-VAB(_AAC)"]);
+    const op = nodes[1].children[0];
+    assert.deepEqual([op.kind, op.start, op.end, op.typeName, op.qb64], ["op", 8, 12, "SmallOpCode", "_AAC"]);
+});
+
+test("decode large and qb2 op codes", () => {
+    const { nodes } = decode(Utf8.encode(`_0AAAAAB-VAC_0AAAAAC`));
+    assert.deepEqual(codes(nodes), ["_0AAAAAB", "-VAC(_0AAAAAC)"]);
+    assert.deepEqual([nodes[0].kind, nodes[0].typeName, nodes[0].hardSize], ["op", "LargeOpCode", 3]);
+
+    const binary = decode(Base64.decode(`_AAB_0AAAAAB`)).nodes;
+    assert.deepEqual(binary.map(i => [i.kind, i.binary, i.start, i.end, i.qb64]), [["op", true, 0, 3, "_AAB"], ["op", true, 3, 9, "_0AAAAAB"]]);
+});
+
+test("unknown op code", () => {
+    assert.throws(() => decode(Utf8.encode(`_1AB`)), UnknownCodeError);
+});
+
+test("tolerant decoding skips to next frame", () => {
+    const input = Utf8.encode(`${message}xyz${message}-VAA`);
+    assert.throws(() => decode(input), UnknownCodeError);
+    const { nodes, state } = decode(input, true);
+    assert.deepEqual(nodes.map(i => [i.kind, i.start, i.end]), [["json", 0, 35], ["diagnostic", 35, 38], ["json", 38, 73], ["frame", 73, 77]]);
+    assert.deepEqual(state.diagnostics.map(i => [i.start, i.end, i.length]), [[35, 38, 3]]);
+    assert.match(nodes[1].error, /getJsonFrame/);
+});
+
+test("tolerant decoding of corrupted sample", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const expected = decode(input).nodes;
+    // corrupt the version string of the first message
+    input[12] = "x".charCodeAt(0);
+    const { nodes, state } = decode(input, true);
+    assert.equal(state.diagnostics.length, 1);
+    assert.deepEqual([nodes[0].kind, nodes[0].start], ["diagnostic", 0]);
+    // decoding continues with the next message
+    assert.deepEqual(nodes.slice(1), expected.filter(i => i.start >= nodes[0].end));
+});
+
+test("diagnostic of nested value is a top level value", async () => {
+    const { nodes } = decode(Utf8.encode(`${message}-VAB!AAAxyz${message}`), true);
+    assert.deepEqual(nodes.map(i => [i.kind, i.start, i.end]), [["json", 0, 35], ["frame", 35, 39], ["diagnostic", 39, 46], ["json", 46, 81]]);
+    assert.deepEqual(nodes[1].children, []);
+
+    const sample = await readSample("qvi-vc.cesr");
+    sample[650] = "!".charCodeAt(0);
+    assertNested(decode(sample, true).nodes);
+});
+
+test("diagnostic of invalid code character", () => {
+    const { nodes } = decode(Utf8.encode(`-VA!${message}`), true);
+    assert.deepEqual(nodes.map(i => [i.kind, i.start, i.end]), [["diagnostic", 0, 4], ["json", 4, 39]]);
+    assert.match(nodes[0].error, /^UnknownCodeError: .*invalid Base64 character code=-VA!/);
+});
+
+test("corrupted leaf payload", async () => {
+    const input = Utf8.encode(`-VAX-AAB${sig.slice(0, 40)}!${sig.slice(41)}${message}`);
+    assert.throws(() => decode(input), e => e instanceof UnknownCodeError && e.message.includes("invalid Base64"));
+    const { nodes, state } = decode(input, true);
+    assert.equal(state.diagnostics.length, 1);
+    assert.match(`${state.diagnostics[0].error}`, /invalid Base64/);
+    assert.equal(nodes.at(-1).kind, "json");
+
+    const sample = await readSample("qvi-vc.cesr");
+    sample[650] = "!".charCodeAt(0);
+    assert.ok(decode(sample, true).state.diagnostics.length > 0);
+});
+
+test("push chunks of input", () => {
+    const input = Utf8.encode(`-VAX-AAB${sig}${message}`);
+    const tree = new DecoderTree(protocol);
+    const root = new DecoderNode();
+    const state = new DecoderState(root);
+
+    assert.equal([...tree.push(state, input.subarray(0, 10))].length, 0);
+    assert.ok(state.shortage instanceof ShortageError);
+    assert.equal([...tree.push(state, input.subarray(10, 110))].length, 3);
+    assert.ok(state.shortage instanceof ShortageError);
+    assert.equal([...tree.push(state, input.subarray(110))].length, 1);
+    assert.equal(state.shortage, null);
+    assert.equal([...tree.finish(state)].length, 0);
+
+    assert.deepEqual(codes(root.children), ["-VAX(-AAB(AA))", "KERI10JSON000023"]);
+    // offsets are relative to the complete input
+    assert.deepEqual([root.children[1].start, root.children[1].end], [96, 131]);
+    assert.deepEqual(root.children, decode(input).nodes);
+});
+
+test("push input split at many offsets", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const expected = decode(input).nodes;
+    const tree = new DecoderTree(protocol);
+    for (let i = 0; i <= input.length; i += 97) {
+        const root = new DecoderNode();
+        const state = new DecoderState(root);
+        for (const node of tree.push(state, input.subarray(0, i))) { }
+        for (const node of tree.push(state, input.subarray(i))) { }
+        for (const node of tree.finish(state)) { }
+        assert.deepEqual(root.children, expected, `split at ${i}`);
+    }
+});
+
+test("push empty chunk", () => {
+    const tree = new DecoderTree(protocol);
+    const root = new DecoderNode();
+    const state = new DecoderState(root);
+    assert.equal([...tree.push(state, new Uint8Array(0))].length, 0);
+    assert.equal(state.shortage, null);
+    assert.equal([...tree.push(state, Utf8.encode(message))].length, 1);
+    assert.equal([...tree.push(state, new Uint8Array(0))].length, 0);
+    assert.equal([...tree.finish(state)].length, 0);
+    assert.equal(root.children.length, 1);
+});
+
+test("finish truncated input", () => {
+    const tree = new DecoderTree(protocol);
+    const state = new DecoderState(new DecoderNode());
+    for (const node of tree.push(state, Utf8.encode(message.slice(0, 30)))) { }
+    assert.ok(state.shortage instanceof ShortageError);
+    assert.throws(() => [...tree.finish(state)], ShortageError);
+
+    const tolerant = new DecoderState(new DecoderNode(), true);
+    for (const node of tree.push(tolerant, Utf8.encode(message.slice(0, 30)))) { }
+    assert.deepEqual([...tree.finish(tolerant)].map(i => i.kind), ["diagnostic"]);
+    assert.deepEqual([tolerant.diagnostics[0].start, tolerant.diagnostics[0].end], [0, 30]);
+});
+
+test("decode stream of chunks", async () => {
+    const input = Utf8.encode(`${message}-VAX-AAB${sig}${message}`);
+    const expected = decode(input).nodes;
+    const chunks = [input.subarray(0, 7), input.subarray(7, 50), input.subarray(50, 51), input.subarray(51)];
+
+    const tree = new DecoderTree(protocol);
+    const iterable = new DecoderNode();
+    for await (const node of tree.stream(new DecoderState(iterable), (async function* () { yield* chunks; })())) { }
+    assert.deepEqual(iterable.children, expected);
+
+    const readable = new DecoderNode();
+    const stream = new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(chunk);
+            controller.close();
+        }
+    });
+    for await (const node of tree.stream(new DecoderState(readable), stream)) { }
+    assert.deepEqual(readable.children, expected);
+});
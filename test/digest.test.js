@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Digest } from "../docs/assets/local/modules/digest.js";
+import { Hex } from "../docs/assets/local/modules/hex.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+
+const abc = {
+    Blake2b_256: "bddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319",
+    Blake2b_512: "ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923",
+    Blake2s_256: "508c5e8c327c14e2e1a72ba34eeb452f37458b209ed63a294d999b4c86675982",
+    SHA3_256: "3a985da74fe225b2045c172d6bd390bd855f086e3e9d525b46bfe24511431532",
+    SHA3_512: "b751850b1a57168a5693cd924b6b096e08f621827444f70d884f5d0240d2712e10e116e9192af3c91a7ec57647e3934057340b4cf408d5a56592f8274eec53f0",
+    SHA2_256: "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad",
+    SHA2_512: "ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f",
+};
+
+for (const [typeName, expected] of Object.entries(abc)) {
+    test(`${typeName} abc`, async () => {
+        assert.equal(Hex.encode(await Digest.digest(typeName, Utf8.encode("abc"))), expected.toUpperCase());
+    });
+}
+
+// https://github.com/BLAKE3-team/BLAKE3/blob/master/test_vectors/test_vectors.json, input is i % 251
+const blake3 = {
+    0: "af1349b9f5f9a1a6a0404dea36dcc9499bcb25c9adc112b7cc9a93cae41f3262",
+    1: "2d3adedff11b61f14c886e35afa036736dcd87a74d27b5c1510225d0f592e213",
+    1023: "10108970eeda3eb932baac1428c7a2163b0e924c9a9e25b35bba72b28f70bd11",
+    1024: "42214739f095a406f3fc83deb889744ac00df831c10daa55189b5d121c855af7",
+    1025: "d00278ae47eb27b34faecf67b4fe263f82d5412916c1ffd97c8cb7fb814b8444",
+    2049: "5f4d72f40d7a5f82b15ca2b2e44b1de3c2ef86c426c95c1af0b6879522563030",
+    4097: "9b4052b38f1c5fc8b1f9ff7ac7b27cd242487b3d890d15c96a1c25b8aa0fb995",
+    5120: "9cadc15fed8b5d854562b26a9536d9707cadeda9b143978f319ab34230535833",
+};
+
+for (const [length, expected] of Object.entries(blake3)) {
+    test(`Blake3_256 ${length}`, async () => {
+        const input = new Uint8Array(Number(length)).map((_, i) => i % 251);
+        assert.equal(Hex.encode(await Digest.digest("Blake3_256", input)), expected.toUpperCase());
+    });
+}
@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getCesrFrame, getCesrValue, getCesrBinaryValue, FrameSizeError, ShortageError, UnknownCodeError } from "../docs/assets/common/modules/cesr-schema.js";
+import { DecoderTree, DecoderNode, DecoderState } from "../docs/assets/local/modules/decoder-tree.js";
+import { Base64 } from "../docs/assets/local/modules/base64.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { protocol, decode } from "./helpers.js";
+
+/**
+ * @param {number} size - declared size
+ * @param {string} serial
+ * @param {string} body - fields following the version string
+ * @returns {Uint8Array}
+ */
+function json(size, body, serial = "JSON") {
+    return Utf8.encode(`{"v":"KERI10${serial}${size.toString(16).padStart(6, "0")}_"${body}}`);
+}
+
+test("JSON frame with matching size", () => {
+    const input = json(35, `,"t":"rpy"`);
+    assert.equal(input.length, 35);
+    assert.equal(getCesrFrame(protocol, input).length, 35);
+});
+
+test("JSON frame with declared size beyond end of message", () => {
+    const input = new Uint8Array([...json(40, `,"t":"rpy"`), ...Utf8.encode("-AAB-AAB")]);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof FrameSizeError && e.size === 40 && e.actual === 35);
+});
+
+test("last JSON frame with declared size beyond end of input", () => {
+    const input = json(40, `,"t":"rpy"`);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof FrameSizeError && e.size === 40 && e.actual === 35);
+});
+
+test("JSON frame with declared size before end of message", () => {
+    const input = json(30, `,"t":"rpy"`);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof FrameSizeError && e.size === 30 && e.actual === 35);
+});
+
+test("JSON frame with braces in strings", () => {
+    const input = json(46, `,"t":"rpy","a":"}\\"{"`);
+    assert.equal(getCesrFrame(protocol, input).length, 46);
+});
+
+test("JSON frame that is not parseable", () => {
+    const input = json(36, `,"t":"rpy",`);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof UnknownCodeError && e.message.includes("invalid JSON"));
+});
+
+test("JSON frame with CBOR version string", () => {
+    const input = json(35, `,"t":"rpy"`, "CBOR");
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof UnknownCodeError && e.message.includes("CBOR is not JSON"));
+});
+
+test("JSON frame truncated", () => {
+    const input = json(35, `,"t":"rpy"`).slice(0, 34);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof ShortageError && e.needed === 35 && e.name === "ShortageError");
+});
+
+test("CBOR frame with declared size beyond end of message", () => {
+    // {"v": "KERI10CBOR00001a_", "t": "x"} is 25 bytes
+    const input = new Uint8Array([0xa2, 0x61, 0x76, 0x71, ...Utf8.encode("KERI10CBOR00001a_"), 0x61, 0x74, 0x61, 0x78, 0x2d]);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof FrameSizeError && e.size === 26 && e.actual === 25);
+});
+
+test("last CBOR and MGPK frames with declared size beyond end of input", () => {
+    const cbor = new Uint8Array([0xa2, 0x61, 0x76, 0x71, ...Utf8.encode("KERI10CBOR00001e_"), 0x61, 0x74, 0x61, 0x78]);
+    assert.throws(() => getCesrFrame(protocol, cbor), e => e instanceof FrameSizeError && e.size === 30 && e.actual === 25);
+    const mgpk = new Uint8Array([0x82, 0xa1, 0x76, 0xb1, ...Utf8.encode("KERI10MGPK00001e_"), 0xa1, 0x74, 0xa1, 0x78]);
+    assert.throws(() => getCesrFrame(protocol, mgpk), e => e instanceof FrameSizeError && e.size === 30 && e.actual === 25);
+});
+
+test("MGPK frame with declared size before end of message", () => {
+    // {"v": "KERI10MGPK000018_", "t": "x"} is 25 bytes
+    const input = new Uint8Array([0x82, 0xa1, 0x76, 0xb1, ...Utf8.encode("KERI10MGPK000018_"), 0xa1, 0x74, 0xa1, 0x78]);
+    assert.throws(() => getCesrFrame(protocol, input), e => e instanceof FrameSizeError && e.size === 24 && e.actual === 25);
+});
+
+test("tolerant decoder reports declared and actual size", () => {
+    const input = new Uint8Array([...json(40, `,"t":"rpy"`), ...json(35, `,"t":"rpy"`)]);
+    const { nodes, state } = decode(input, true);
+    assert.equal(state.diagnostics.length, 1);
+    assert.equal(state.diagnostics[0].error.size, 40);
+    assert.equal(state.diagnostics[0].error.actual, 35);
+    assert.match(`${state.diagnostics[0].error}`, /^FrameSizeError: /);
+    assert.deepEqual(nodes.map(i => i.kind), ["diagnostic", "json"]);
+});
+
+test("qb2 frame", () => {
+    const qb64 = `-VAX-AAB${"A".repeat(88)}`;
+    const input = Base64.decode(qb64);
+    const frame = getCesrFrame(protocol, input);
+    assert.deepEqual([frame.binary, frame.length, frame.headerLength, frame.header.count], [true, 72, 3, 23]);
+    assert.equal(frame.qb64, qb64);
+    assert.throws(() => getCesrFrame(protocol, input.subarray(0, 40)), e => e instanceof ShortageError && e.needed === 72);
+});
+
+test("qb2 primitive", () => {
+    const qb64 = "DKxy2sgzfplyr-tgwIxS19f2OchFHtLwPWD3v4oYimBx";
+    const value = getCesrBinaryValue(protocol, Base64.decode(qb64));
+    assert.deepEqual([value.binary, value.length, value.header.typeName, value.qb64], [true, 33, "Ed25519", qb64]);
+    assert.deepEqual(value.raw, getCesrValue(protocol, qb64).raw);
+    assert.throws(() => getCesrBinaryValue(protocol, Base64.decode(qb64).subarray(0, 20)), e => e instanceof ShortageError && e.needed === 33);
+});
+
+test("decode CBOR frame", () => {
+    // {"v": "KERI10CBOR000019_", "t": "x"} is 25 bytes
+    const input = new Uint8Array([0xa2, 0x61, 0x76, 0x71, ...Utf8.encode("KERI10CBOR000019_"), 0x61, 0x74, 0x61, 0x78, ...Utf8.encode("-VAA")]);
+    const { nodes } = decode(input);
+    assert.deepEqual(nodes.map(i => [i.kind, i.start, i.end]), [["cbor", 0, 25], ["frame", 25, 29]]);
+    assert.deepEqual([nodes[0].serial, nodes[0].size, nodes[0].proto], ["CBOR", 25, "KERI10"]);
+    assert.deepEqual(nodes[0].value, { v: "KERI10CBOR000019_", t: "x" });
+});
+
+test("decode MGPK frame", () => {
+    // {"v": "KERI10MGPK000019_", "t": "x"} is 25 bytes
+    const input = new Uint8Array([0x82, 0xa1, 0x76, 0xb1, ...Utf8.encode("KERI10MGPK000019_"), 0xa1, 0x74, 0xa1, 0x78, ...Utf8.encode("-VAA")]);
+    const { nodes } = decode(input);
+    assert.deepEqual(nodes.map(i => [i.kind, i.start, i.end]), [["mgpk", 0, 25], ["frame", 25, 29]]);
+    assert.deepEqual([nodes[0].serial, nodes[0].size, nodes[0].proto], ["MGPK", 25, "KERI10"]);
+    assert.deepEqual(nodes[0].value, { v: "KERI10MGPK000019_", t: "x" });
+});
+
+test("decode v2 version strings", () => {
+    const { nodes } = decode(Utf8.encode(`{"v":"KERICAACAAJSONAAAl.","t":"rpy"}{"v":"KERICAAJSONAAAi.","t":"rpy"}`));
+    assert.equal(nodes.length, 2);
+    const [genus, plain] = nodes;
+    assert.deepEqual([genus.kind, genus.start, genus.end, genus.size], ["json", 0, 37, 37]);
+    assert.deepEqual([genus.proto, genus.protocol, genus.major, genus.minor, genus.genusMajor, genus.genusMinor], ["KERICAA", "KERI", 2, 0, 2, 0]);
+    assert.deepEqual([plain.start, plain.end, plain.size, plain.major, plain.genusMajor], [37, 71, 34, 2, undefined]);
+});
+
+test("v2 version strings of CBOR and MGPK frames", () => {
+    // {"v": "KERICAACAACBORAAAb.", "t": "x"} is 27 bytes
+    const cbor = new Uint8Array([0xa2, 0x61, 0x76, 0x73, ...Utf8.encode("KERICAACAACBORAAAb."), 0x61, 0x74, 0x61, 0x78]);
+    const mgpk = new Uint8Array([0x82, 0xa1, 0x76, 0xb3, ...Utf8.encode("KERICAACAAMGPKAAAb."), 0xa1, 0x74, 0xa1, 0x78]);
+    for (const [input, serial] of [[cbor, "CBOR"], [mgpk, "MGPK"]]) {
+        const frame = getCesrFrame(protocol, input);
+        assert.deepEqual([frame.length, frame.header.serial, frame.header.major, frame.header.genusMajor], [27, serial, 2, 2]);
+    }
+});
+
+test("version string with invalid digits", () => {
+    assert.throws(() => getCesrFrame(protocol, Utf8.encode(`{"v":"KERICAACAAJSONAA!l.","t":"rpy"}`)), UnknownCodeError);
+    assert.throws(() => getCesrFrame(protocol, Utf8.encode(`{"v":"KERI10JSON00002g_","t":"rpy"}`)), UnknownCodeError);
+});
+
+test("truncated frames without version string", () => {
+    for (const input of [`{"x":1}`, `{"v":"hello"}`, `{}`, `{"vv`]) {
+        assert.throws(() => getCesrFrame(protocol, Utf8.encode(input)), UnknownCodeError, input);
+    }
+    for (const input of [`{`, `{"v":`, `{"v":"KERI10JS`, `{"v":"KERICAACA`]) {
+        assert.throws(() => getCesrFrame(protocol, Utf8.encode(input)), ShortageError, input);
+    }
+    const cbor = [0xa2, 0x61, 0x76, 0x71];
+    assert.throws(() => getCesrFrame(protocol, new Uint8Array([...cbor, ...Utf8.encode("KERI1")])), ShortageError);
+    assert.throws(() => getCesrFrame(protocol, new Uint8Array([...cbor, ...Utf8.encode("KE!")])), UnknownCodeError);
+    const mgpk = [0x82, 0xa1, 0x76, 0xb1];
+    assert.throws(() => getCesrFrame(protocol, new Uint8Array([...mgpk, ...Utf8.encode("KERI1")])), ShortageError);
+    assert.throws(() => getCesrFrame(protocol, new Uint8Array([...mgpk, ...Utf8.encode("KE!")])), UnknownCodeError);
+});
+
+test("push input that is not a version string", () => {
+    const tree = new DecoderTree(protocol);
+    const state = new DecoderState(new DecoderNode());
+    assert.throws(() => [...tree.push(state, Utf8.encode(`{"x":1}`))], UnknownCodeError);
+});
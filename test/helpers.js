@@ -0,0 +1,44 @@
+import { readFile } from "node:fs/promises";
+import { CesrSchemaProtocol, getCesrFrame } from "../docs/assets/common/modules/cesr-schema.js";
+import { DecoderTree, DecoderNode, DecoderState } from "../docs/assets/local/modules/decoder-tree.js";
+
+export const samples = new URL("../docs/samples/", import.meta.url);
+export const protocol = await CesrSchemaProtocol.load("Matter", "Counter", "OpCode");
+
+/**
+ * @param {string} file - name of a file in docs/samples
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readSample(file) {
+    return new Uint8Array(await readFile(new URL(file, samples)));
+}
+
+/**
+ * Decode a stream of JSON and CESR interleaved
+ * @param {Uint8Array} input
+ * @param {boolean} [tolerant]
+ * @returns {{nodes: DecoderNode[], state: DecoderState}} top level nodes and state after decoding
+ */
+export function decode(input, tolerant = false) {
+    const root = new DecoderNode();
+    const state = new DecoderState(root, tolerant);
+    state.currentFrame.valueGetter = getCesrFrame;
+    for (const node of new DecoderTree(protocol).values(state, input)) { }
+    return { nodes: root.children, state: state };
+}
+
+/**
+ * @param {string} file - name of a file in docs/samples
+ * @returns {Promise<DecoderNode[]>} top level nodes of the decoded file
+ */
+export async function decodeSample(file) {
+    return decode(await readSample(file)).nodes;
+}
+
+/**
+ * @param {...object} events - field maps of KERI events
+ * @returns {DecoderNode[]} JSON message nodes of the events, one byte each
+ */
+export function keriMessages(...events) {
+    return events.map((value, index) => new DecoderNode({ kind: "json", protocol: "KERI", start: index, end: index + 1, value: value }));
+}
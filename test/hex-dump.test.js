@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DecoderNode } from "../docs/assets/local/modules/decoder-tree.js";
+import { getSegments, segmentStream } from "../docs/assets/local/modules/hex-dump.js";
+import { Base64 } from "../docs/assets/local/modules/base64.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { readSample, decode } from "./helpers.js";
+
+/**
+ * @param {{kind: string, start: number, end: number}[]} segments
+ * @returns {string[]}
+ */
+function describe(segments) {
+    return segments.map(i => `${i.kind} ${i.start}-${i.end}`);
+}
+
+test("segments of qvi-vc.cesr", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const segments = segmentStream(decode(input).nodes, input.length);
+    assert.deepEqual(describe(segments.slice(0, 8)), [
+        "message 0-605", "hard 605-607", "soft 607-609", "hard 609-611", "soft 611-613", "hard 613-614", "soft 614-615", "payload 615-701"
+    ]);
+    // a StrB64_L2 path has 2 lead bytes in the 4 characters following the code
+    assert.deepEqual(describe(segments.filter(i => i.start >= 3932 && i.end <= 3940)), ["hard 3932-3934", "soft 3934-3936", "lead 3936-3938", "payload 3938-3940"]);
+    assert.equal(segments.at(-1).end, input.length);
+    segments.forEach((segment, i) => assert.equal(segment.start, i === 0 ? 0 : segments[i - 1].end));
+    assert.equal(segments.some(i => i.kind === "unknown"), false);
+});
+
+test("segments of qb64 values", () => {
+    const digest = new DecoderNode({ kind: "leaf", start: 0, end: 44, code: "E", hardSize: 1, raw: "00".repeat(32) });
+    assert.deepEqual(describe(getSegments(digest)), ["hard 0-1", "payload 1-44"]);
+    const salt = new DecoderNode({ kind: "leaf", start: 0, end: 24, code: "0A", hardSize: 2, raw: "00".repeat(16) });
+    assert.deepEqual(describe(getSegments(salt)), ["hard 0-2", "payload 2-24"]);
+    const signature = new DecoderNode({ kind: "leaf", start: 10, end: 98, code: "AB", hardSize: 1, raw: "00".repeat(64) });
+    assert.deepEqual(describe(getSegments(signature)), ["hard 10-11", "soft 11-12", "payload 12-98"]);
+    const counter = new DecoderNode({ kind: "group", start: 4, end: 8, code: "-AAC", hardSize: 2 });
+    assert.deepEqual(describe(getSegments(counter)), ["hard 4-6", "soft 6-8"]);
+    const [small, large] = decode(Utf8.encode("_AAB_0AAAAAB")).nodes;
+    assert.deepEqual(describe(getSegments(small)), ["hard 0-2", "soft 2-4"]);
+    assert.deepEqual(describe(getSegments(large)), ["hard 4-7", "soft 7-12"]);
+});
+
+test("segments of qb2 values", () => {
+    const digest = new DecoderNode({ kind: "leaf", binary: true, start: 0, end: 33, code: "E", hardSize: 1, raw: "00".repeat(32) });
+    assert.deepEqual(describe(getSegments(digest)), ["hard 0-1", "payload 1-33"]);
+    const counter = new DecoderNode({ kind: "group", binary: true, start: 3, end: 6, code: "-AAC", hardSize: 2 });
+    assert.deepEqual(describe(getSegments(counter)), ["hard 3-5", "soft 5-6"]);
+    const path = new DecoderNode({ kind: "leaf", binary: true, start: 0, end: 6, code: "6AAB", hardSize: 2, leadBytes: 2, raw: "3e" });
+    assert.deepEqual(describe(getSegments(path)), ["hard 0-2", "soft 2-3", "lead 3-5", "payload 5-6"]);
+    const [small, large] = decode(Base64.decode("_AAB_0AAAAAB")).nodes;
+    assert.deepEqual(describe(getSegments(small)), ["hard 0-2", "soft 2-3"]);
+    assert.deepEqual(describe(getSegments(large)), ["hard 3-6", "soft 6-9"]);
+});
+
+test("segments of bytes not decoded", () => {
+    const nodes = [
+        new DecoderNode({ kind: "json", start: 2, end: 10 }),
+        new DecoderNode({ kind: "diagnostic", start: 10, end: 14, error: "unknown code" })
+    ];
+    assert.deepEqual(describe(segmentStream(nodes, 16)), ["unknown 0-2", "message 2-10", "unknown 10-14", "unknown 14-16"]);
+});
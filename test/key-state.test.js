@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import { encodeCesrValue } from "../docs/assets/common/modules/cesr-encoder.js";
+import { processKels, verifyPreRotation } from "../docs/assets/local/modules/key-state.js";
+import { Digest } from "../docs/assets/local/modules/digest.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { protocol, samples, decodeSample, keriMessages } from "./helpers.js";
+
+for (const file of await readdir(samples)) {
+    test(`key state ${file}`, async () => {
+        const states = processKels(await decodeSample(file));
+        await verifyPreRotation(protocol, states);
+        assert.notEqual(states.size, 0);
+        for (const state of states.values()) {
+            assert.deepEqual(state.errors, []);
+            assert.equal(state.events.length, state.sn + 1);
+        }
+    });
+}
+
+test("key state through rotations", async () => {
+    const states = processKels(await decodeSample("GLEIF Root-witness.cesr"));
+    const state = states.get("EDP1vHcw_wc4M__Fj53-cJaBnZZASd-aMTaSyWEQ-PC2");
+    assert.deepEqual(state.events.map(i => [i.sn, i.type, i.chained]), [[0, "icp", undefined], [1, "rot", true], [2, "rot", true]]);
+    assert.equal(state.establishment, 2);
+    assert.equal(state.digest, "EHsL1ldIafZC-M9-3RgLQB3m2_2F0aYIiNBGnTVoFDH2");
+    assert.deepEqual(state.signingThreshold, ["1/3", "1/3", "1/3"]);
+    assert.equal(state.keys[0], "DNLdWqTBKOhDO8YfE5uIaTvN-n_Jv20-5ZwK609BvG0b");
+    assert.equal(state.nextDigests[0], "EPHYDUnxDH7xcAim3aYvS9bvh7JmdBDKc__w2_McXr6I");
+    assert.equal(state.witnesses.length, 5);
+});
+
+test("key state of delegated identifier", async () => {
+    const states = processKels(await decodeSample("qvi-vc.cesr"));
+    const state = states.get("ECZkQcTnisqasWUNupkGw5LC8RhOQCacu5lzmNN2R7E-");
+    assert.equal(state.delegator, "EPgISkuC1ZS9kisgufpzQYvurZcuu2hpLRBT2ZJuOJ9z");
+    assert.equal(state.establishment, 0);
+    assert.equal(state.sn, 2);
+});
+
+test("key state orders events and tracks witness changes", () => {
+    const states = processKels(keriMessages(
+        { t: "rot", i: "A", s: "1", d: "B", p: "A", kt: "1", k: ["K2"], nt: "1", n: ["N3"], bt: "1", br: ["W1"], ba: ["W3"] },
+        { t: "icp", i: "A", s: "0", d: "A", kt: "1", k: ["K1"], nt: "1", n: ["N2"], bt: "1", b: ["W1", "W2"] },
+        { t: "ixn", i: "A", s: "2", d: "C", p: "B" },
+        { t: "rct", i: "A", s: "2", d: "C" },
+        { t: "ixn", i: "A", s: "2", d: "C", p: "B" }
+    ));
+    const state = states.get("A");
+    assert.deepEqual(state.errors, []);
+    assert.deepEqual(state.events.map(i => i.type), ["icp", "rot", "ixn"]);
+    assert.deepEqual(state.keys, ["K2"]);
+    assert.deepEqual(state.witnesses, ["W2", "W3"]);
+    assert.equal(state.events[2].receipts, 1);
+});
+
+test("key state reports broken chain, missing and duplicitous events", () => {
+    const states = processKels(keriMessages(
+        { t: "icp", i: "A", s: "0", d: "A", k: ["K1"] },
+        { t: "ixn", i: "A", s: "1", d: "B", p: "X" },
+        { t: "ixn", i: "A", s: "1", d: "C", p: "A" },
+        { t: "ixn", i: "A", s: "3", d: "D", p: "C" },
+        { t: "ixn", i: "A", s: "z", d: "E", p: "D" }
+    ));
+    const state = states.get("A");
+    assert.equal(state.events[1].chained, false);
+    assert.equal(state.events[2].chained, undefined);
+    assert.deepEqual(state.errors, [
+        "s=z invalid sequence number",
+        "sn=1 duplicitous events d=B,C",
+        "sn=1 p=X does not match d=A of sn=0",
+        "sn=2 event missing"
+    ]);
+});
+
+test("key state requires inception event", () => {
+    const state = processKels(keriMessages({ t: "rot", i: "A", s: "0", d: "B", k: ["K1"] })).get("A");
+    assert.deepEqual(state.errors, ["sn=0 t=rot is not an inception event"]);
+});
+
+test("pre-rotation of partial rotations", async () => {
+    const states = processKels(await decodeSample("GLEIF Root-witness.cesr"));
+    await verifyPreRotation(protocol, states);
+    const state = states.get("EDP1vHcw_wc4M__Fj53-cJaBnZZASd-aMTaSyWEQ-PC2");
+    assert.deepEqual(state.events.map(i => [i.revealed, i.preRotation]), [[undefined, undefined], [[0, 5, 6], true], [[0, 5, 6], true]]);
+    assert.equal(state.events[1].priorNextDigests.length, 7);
+});
+
+/**
+ * @param {string} key - qb64 key
+ * @returns {Promise<string>} qb64 Blake3 digest of key
+ */
+async function nextDigest(key) {
+    return encodeCesrValue(protocol, "Blake3_256", { raw: await Digest.digest("Blake3_256", Utf8.encode(key)) }).qb64;
+}
+
+test("pre-rotation of weighted next threshold", async () => {
+    const keys = ["DNopV8_DYZYW4W4qgSrxpa2KSSX_f6VhwedPTELCJF7o", "DAVnkbYAunHL1gQK6lVb7yMJWhG3hCL98cul3a7NPyJF"];
+    const n = await Promise.all(keys.map(nextDigest));
+    const states = processKels(keriMessages(
+        { t: "icp", i: "A", s: "0", d: "A", kt: "1", k: ["K1"], nt: ["1/2", "1/2"], n: n },
+        { t: "rot", i: "A", s: "1", d: "B", p: "A", kt: "1", k: [keys[1]], nt: "0", n: [] },
+        { t: "icp", i: "C", s: "0", d: "C", kt: "1", k: ["K1"], nt: ["1/2", "1/2"], n: n },
+        { t: "rot", i: "C", s: "1", d: "D", p: "C", kt: ["1/2", "1/2"], k: [keys[1], keys[0]], nt: "0", n: [] }
+    ));
+    await verifyPreRotation(protocol, states);
+    const [a, c] = [states.get("A"), states.get("C")];
+    assert.deepEqual([a.events[1].revealed, a.events[1].preRotation], [[1], false]);
+    assert.deepEqual(a.errors, ["sn=1 revealed next keys 1 do not satisfy prior next threshold nt=[1/2,1/2]"]);
+    assert.deepEqual([c.events[1].revealed, c.events[1].preRotation], [[0, 1], true]);
+    assert.deepEqual(c.errors, []);
+});
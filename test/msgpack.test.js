@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Msgpack, MsgpackReader } from "../docs/assets/local/modules/msgpack.js";
+import { Hex } from "../docs/assets/local/modules/hex.js";
+
+const examples = [
+    ["00", 0],
+    ["7f", 127],
+    ["ff", -1],
+    ["e0", -32],
+    ["cc80", 128],
+    ["cd0100", 256],
+    ["ce00010000", 65536],
+    ["cf0000000100000000", 4294967296],
+    ["d080", -128],
+    ["d1ff00", -256],
+    ["d2ffff0000", -65536],
+    ["ca3f800000", 1],
+    ["cb3ff199999999999a", 1.1],
+    ["c0", null],
+    ["c2", false],
+    ["c3", true],
+    ["a449455446", "IETF"],
+    ["a2c3bc", "ü"],
+    ["d90449455446", "IETF"],
+    ["c40401020304", new Uint8Array([1, 2, 3, 4])],
+    ["93010203", [1, 2, 3]],
+    ["dc0003010203", [1, 2, 3]],
+    ["82a16101a162920203", { a: 1, b: [2, 3] }],
+    ["de0001a16101", { a: 1 }],
+    ["d40102", new Uint8Array([2])],
+];
+
+for (const [hex, expected] of examples) {
+    test(`decode ${hex}`, () => {
+        assert.deepEqual(Msgpack.decode(Hex.decode(hex)), expected);
+    });
+}
+
+test("decode truncated and invalid values", () => {
+    assert.throws(() => Msgpack.decode(Hex.decode("cd01")), RangeError);
+    assert.throws(() => Msgpack.decode(Hex.decode("81a161")), RangeError);
+    assert.throws(() => Msgpack.decode(Hex.decode("c1")), TypeError);
+    assert.throws(() => Msgpack.decode(Hex.decode("0000")), TypeError);
+});
+
+test("read map header", () => {
+    for (const hex of ["82", "de0002", "df00000002"]) {
+        assert.equal(new MsgpackReader(Hex.decode(hex)).readMapHeader(), 2);
+    }
+    assert.throws(() => new MsgpackReader(Hex.decode("92")).readMapHeader(), TypeError);
+});
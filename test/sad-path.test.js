@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DecoderNode } from "../docs/assets/local/modules/decoder-tree.js";
+import { getPath, splitPath, resolvePath, resolveSadPaths } from "../docs/assets/local/modules/sad-path.js";
+import { Hex } from "../docs/assets/local/modules/hex.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { readSample, decode } from "./helpers.js";
+
+/**
+ * @param {string} typeName - type of the group
+ * @param {string} qb64 - path primitive with a StrB64 code
+ * @param {...DecoderNode} children
+ * @returns {DecoderNode}
+ */
+function pathGroup(typeName, qb64, ...children) {
+    const leadBytes = "456".indexOf(qb64[0]);
+    const leaf = new DecoderNode({ kind: "leaf", typeName: `StrB64_L${leadBytes}`, code: qb64.slice(0, 4), qb64: qb64, leadBytes: leadBytes });
+    return new DecoderNode({ kind: "group", typeName: typeName, children: [leaf, ...children] });
+}
+
+test("SAD paths of oor-vc.cesr", async () => {
+    const input = await readSample("oor-vc.cesr");
+    const { nodes } = decode(input);
+    resolveSadPaths(nodes, input);
+    const acdcs = nodes.filter(i => i.protocol === "ACDC");
+    const groups = nodes.flatMap(i => i.children).filter(i => i.typeName === "SadPathSig");
+    assert.equal(groups.length, 4);
+    assert.deepEqual(groups.map(i => [i.path, i.pathResolved, i.targetStart, i.targetEnd]), acdcs.map(i => ["-", true, i.start, i.end]));
+});
+
+test("path primitives", () => {
+    const leaf = (typeName, qb64, leadBytes) => new DecoderNode({ kind: "leaf", typeName: typeName, code: qb64.slice(0, 4), qb64: qb64, leadBytes: leadBytes });
+    assert.equal(getPath(leaf("StrB64_L0", "4AAB-a-i", 0)), "-a-i");
+    assert.equal(getPath(leaf("StrB64_L0", "4AABA-ab", 0)), "-ab");
+    assert.equal(getPath(leaf("StrB64_L1", "5AABAA-a", 1)), "-a");
+    assert.equal(getPath(leaf("StrB64_L2", "6AABAAA-", 2)), "-");
+    const bytes = new DecoderNode({ kind: "leaf", typeName: "Bytes_L0", code: "4BAC", raw: Hex.encode(Utf8.encode("-e-qvi")) });
+    assert.equal(getPath(bytes), "-e-qvi");
+    assert.equal(getPath(leaf("Blake3_256", "EOiLKDVNJj-2FCWypOKEwC_QcWmu5KIJ7Ux2qXVXSo3I")), undefined);
+});
+
+test("split and resolve paths", () => {
+    assert.deepEqual(splitPath("-"), []);
+    assert.deepEqual(splitPath("-a-0-b"), ["a", "0", "b"]);
+    assert.equal(splitPath("a"), null);
+    const value = { a: [{ b: 1 }, { b: 2 }] };
+    assert.equal(resolvePath(value, ["a", "1", "b"]), 2);
+    assert.equal(resolvePath(value, ["a", "b"]), undefined);
+    assert.equal(resolvePath(value, ["b"]), undefined);
+});
+
+test("resolve SAD paths to byte ranges of JSON message", () => {
+    const text = `{"v":"ACDC10JSON000000_", "d":"x","e":{"d":"y","qvi":{"n":"z","s":"w"}},"a":[1, {"b":[true,null]}]}`;
+    const input = Utf8.encode("-VAA" + text);
+    const message = new DecoderNode({ kind: "json", protocol: "ACDC", start: 4, end: input.length, value: JSON.parse(text) });
+    const groups = [
+        pathGroup("SadPathSig", "5AABAA-e", pathGroup("SadPathSig", "4AAB-qvi")),
+        pathGroup("SadPathSigGroup", "4AAB-a-1", pathGroup("SadPathSig", "5AABAA-b")),
+        pathGroup("SadPathSig", "5AABAA-x")
+    ];
+    resolveSadPaths([message, new DecoderNode({ kind: "frame", children: groups })], input);
+    const target = i => Utf8.decode(input.subarray(i.targetStart, i.targetEnd));
+    assert.equal(groups[0].path, "-e");
+    assert.equal(target(groups[0]), `{"d":"y","qvi":{"n":"z","s":"w"}}`);
+    assert.equal(groups[0].children[1].path, "-e-qvi");
+    assert.equal(target(groups[0].children[1]), `{"n":"z","s":"w"}`);
+    assert.equal(groups[1].path, "-a-1");
+    assert.equal(target(groups[1]), `{"b":[true,null]}`);
+    assert.equal(groups[1].children[1].path, "-a-1-b");
+    assert.equal(target(groups[1].children[1]), "[true,null]");
+    assert.deepEqual([groups[2].path, groups[2].pathResolved, groups[2].targetStart], ["-x", false, undefined]);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir, readFile, writeFile } from "node:fs/promises";
+import { formatNode } from "../docs/assets/local/modules/decoder-format.js";
+import { samples, readSample, decode } from "./helpers.js";
+
+const snapshots = new URL("./snapshots/", import.meta.url);
+
+/**
+ * Snapshot of decoded tree, one line with offsets and summary per node
+ * @param {DecoderNode[]} nodes
+ * @param {number} depth
+ * @returns {string}
+ */
+function formatSnapshot(nodes, depth = 0) {
+    let result = "";
+    for (const node of nodes) {
+        result += `${"  ".repeat(depth)}${node.start}-${node.end} ${formatNode(node)}\n`;
+        result += formatSnapshot(node.children, depth + 1);
+    }
+    return result;
+}
+
+for (const file of await readdir(samples)) {
+    test(`decode ${file}`, async () => {
+        const { nodes, state } = decode(await readSample(file));
+        assert.equal(state.diagnostics.length, 0);
+
+        const actual = formatSnapshot(nodes);
+        const snapshot = new URL(file.replace(/\.cesr$/, ".txt"), snapshots);
+        if (process.env.UPDATE_SNAPSHOTS) {
+            await writeFile(snapshot, actual);
+        }
+        assert.equal(actual, await readFile(snapshot, "utf-8"));
+    });
+}
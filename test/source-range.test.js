@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getEnd, findNodes } from "../docs/assets/local/modules/decoder-tree.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { readSample, decode } from "./helpers.js";
+
+const input = await readSample("qvi-vc.cesr");
+const { nodes } = decode(input);
+
+/**
+ * @param {DecoderNode[]} nodes
+ * @returns {string[]}
+ */
+function describe(nodes) {
+    return nodes.map(i => `${i.start}-${i.end} ${i.code}`);
+}
+
+test("end of values with nested values", () => {
+    const [message, attachments] = nodes;
+    assert.equal(getEnd(message), 605);
+    assert.equal(attachments.end, 609);
+    assert.equal(getEnd(attachments), 1193);
+    assert.equal(getEnd(attachments.children[0]), 789);
+    assert.equal(getEnd(attachments.children[0].children[0]), 701);
+});
+
+test("values covering a position", () => {
+    assert.deepEqual(describe(findNodes(nodes, 0, 0)), ["0-605 KERI10JSON00025d"]);
+    assert.deepEqual(describe(findNodes(nodes, 604, 604)), ["0-605 KERI10JSON00025d"]);
+    assert.deepEqual(describe(findNodes(nodes, 605, 605)), ["605-609 -VCS"]);
+    assert.deepEqual(describe(findNodes(nodes, 611, 611)), ["605-609 -VCS", "609-613 -AAC"]);
+    assert.deepEqual(describe(findNodes(nodes, 701, 701)), ["605-609 -VCS", "609-613 -AAC", "701-789 BB"]);
+    assert.deepEqual(findNodes(nodes, input.length, input.length), []);
+});
+
+test("values covering a range", () => {
+    assert.deepEqual(describe(findNodes(nodes, 613, 789)), ["605-609 -VCS", "609-613 -AAC"]);
+    assert.deepEqual(describe(findNodes(nodes, 701, 789)), ["605-609 -VCS", "609-613 -AAC", "701-789 BB"]);
+    assert.deepEqual(describe(findNodes(nodes, 700, 790)), ["605-609 -VCS"]);
+    assert.deepEqual(findNodes(nodes, 600, 610), []);
+});
+
+test("UTF-8 offsets of text indexes", () => {
+    const text = `{"a":"é€😀"}-AAB`;
+    assert.equal(Utf8.encode(text).length, 21);
+    assert.equal(Utf8.toOffset(text, 6), 6);
+    assert.equal(Utf8.toOffset(text, 7), 8);
+    assert.equal(Utf8.toOffset(text, 8), 11);
+    assert.equal(Utf8.toOffset(text, 10), 15);
+    assert.equal(Utf8.toOffset(text, text.length), 21);
+    for (const index of [0, 6, 7, 8, 10, 12, text.length]) {
+        assert.equal(Utf8.toIndex(text, Utf8.toOffset(text, index)), index);
+    }
+});
+
+test("strict UTF-8 decoding of binary input", () => {
+    assert.equal(Utf8.decodeStrict(Utf8.encode(`{"a":"é"}`)), `{"a":"é"}`);
+    assert.equal(Utf8.decodeStrict(new Uint8Array([0xef, 0xbb, 0xbf, 0x2d])), "﻿-");
+    // CBOR map header and qb2 bytes are not UTF-8
+    assert.equal(Utf8.decodeStrict(new Uint8Array([0xa5, 0x61, 0x76])), null);
+    assert.equal(Utf8.decodeStrict(new Uint8Array([0xfb, 0xe0, 0x01])), null);
+});
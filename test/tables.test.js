@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { CesrSchemaProtocol, fileLoader } from "../docs/assets/common/modules/cesr-schema.js";
+import { bundledLoader } from "../docs/assets/common/modules/cesr-tables-bundle.js";
+
+const schema = new URL("../docs/assets/common/schema", import.meta.url);
+
+for (const [name, loader] of [
+    ["file URL without trailing slash", fileLoader(schema)],
+    ["file URL with trailing slash", fileLoader(new URL(`${schema.href}/`))],
+    ["path", fileLoader(fileURLToPath(schema))],
+    ["bundled tables", bundledLoader],
+]) {
+    test(`load tables from ${name}`, async () => {
+        const protocol = await CesrSchemaProtocol.loadWith(loader, "Matter", "Counter");
+        assert.equal(protocol.getCodeTable("-A").mapCodeHeader("-AAB").typeName, "ControllerIdxSigs");
+    });
+}
+
+test("load tables from missing directory", async () => {
+    const unhandled = [];
+    const listener = e => unhandled.push(e);
+    process.on("unhandledRejection", listener);
+    try {
+        await assert.rejects(CesrSchemaProtocol.loadWith(fileLoader("/nonexistent"), "Matter"), { code: "ENOENT" });
+        // rejections of the other tables surface after the first one
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.deepEqual(unhandled, []);
+    } finally {
+        process.off("unhandledRejection", listener);
+    }
+});
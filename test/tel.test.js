@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import { processTels } from "../docs/assets/local/modules/tel.js";
+import { processCredentials } from "../docs/assets/local/modules/credential.js";
+import { formatCredential } from "../docs/assets/local/modules/decoder-format.js";
+import { samples, decodeSample, keriMessages } from "./helpers.js";
+
+for (const file of (await readdir(samples)).filter(i => i.endsWith("-vc.cesr"))) {
+    test(`transaction event logs ${file}`, async () => {
+        const nodes = await decodeSample(file);
+        const { registries, credentials } = processTels(nodes);
+        assert.notEqual(registries.size, 0);
+        for (const registry of registries.values()) {
+            assert.deepEqual(registry.errors, []);
+            assert.deepEqual(registry.config, ["NB"]);
+        }
+        for (const status of credentials.values()) {
+            assert.deepEqual(status.errors, []);
+            assert.equal(status.status, "issued");
+            assert.ok(registries.has(status.registry));
+        }
+        for (const credential of processCredentials(nodes, credentials).values()) {
+            assert.equal(credential.status?.registry, credential.registry);
+        }
+    });
+}
+
+test("credential status of qvi-vc.cesr", async () => {
+    const nodes = await decodeSample("qvi-vc.cesr");
+    const { registries, credentials } = processTels(nodes);
+    const registry = registries.get("EJBhHOdPC9481jT_AF6DZjvwRNeHjO9-uof0HJz0cEGW");
+    assert.equal(registry.issuer, "ECZkQcTnisqasWUNupkGw5LC8RhOQCacu5lzmNN2R7E-");
+    const [credential] = processCredentials(nodes, credentials).values();
+    assert.equal(credential.status.date, "2023-08-09T16:00:16.417004+00:00");
+    assert.match(formatCredential(credential), / edges=0 status=issued$/);
+});
+
+test("revoked credential", () => {
+    const { credentials } = processTels(keriMessages(
+        { t: "vcp", i: "R", ii: "I", s: "0", d: "R", c: ["NB"], bt: "0", b: [] },
+        { t: "rev", i: "C", s: "1", d: "D2", p: "D1", ri: "R", dt: "2" },
+        { t: "iss", i: "C", s: "0", d: "D1", ri: "R", dt: "1" },
+        { t: "iss", i: "C", s: "0", d: "D1", ri: "R", dt: "1" }
+    ));
+    const status = credentials.get("C");
+    assert.deepEqual(status.errors, []);
+    assert.deepEqual(status.events.map(i => [i.type, i.chained]), [["iss", undefined], ["rev", true]]);
+    assert.equal(status.status, "revoked");
+    assert.equal(status.date, "2");
+});
+
+test("backer issued and revoked credential", () => {
+    const { registries, credentials } = processTels(keriMessages(
+        { t: "vcp", i: "R", ii: "I", s: "0", d: "R", c: [], bt: "1", b: ["B1"] },
+        { t: "vrt", i: "R", s: "1", d: "R1", p: "R", bt: "1", br: ["B1"], ba: ["B2"] },
+        { t: "bis", i: "C", ii: "I", s: "0", d: "D1", ra: { i: "R", s: "1", d: "R1" } },
+        { t: "brv", i: "C", s: "1", d: "D2", p: "D1", ra: { i: "R", s: "1", d: "R1" } }
+    ));
+    assert.deepEqual(registries.get("R").backers, ["B2"]);
+    assert.equal(credentials.get("C").registry, "R");
+    assert.equal(credentials.get("C").status, "revoked");
+});
+
+test("transaction event log errors", () => {
+    const { registries, credentials } = processTels(keriMessages(
+        { t: "vrt", i: "R", s: "1", d: "R1", p: "R0" },
+        { t: "iss", i: "C", s: "0", d: "D1", ri: "R" },
+        { t: "rev", i: "C", s: "1", d: "D2", p: "X", ri: "Q" },
+        { t: "rev", i: "C", s: "2", d: "D3", p: "D2", ri: "R" }
+    ));
+    assert.deepEqual(registries.get("R").errors, ["sn=0 event missing"]);
+    assert.deepEqual(credentials.get("C").errors, [
+        "sn=1 p=X does not match d=D1 of sn=0",
+        "s=1 registry Q does not match R",
+        "sn=2 event after revocation"
+    ]);
+    // neither revocation is valid
+    assert.equal(credentials.get("C").status, "issued");
+});
+
+test("credential status of out of order events", () => {
+    const { credentials } = processTels(keriMessages(
+        { t: "rev", i: "A", s: "0", d: "A0", ri: "R", dt: "1" },
+        { t: "iss", i: "B", s: "0", d: "B0", ri: "R", dt: "1" },
+        { t: "rev", i: "B", s: "1", d: "B1", p: "B0", ri: "R", dt: "2" },
+        { t: "iss", i: "B", s: "2", d: "B2", p: "B1", ri: "R", dt: "3" },
+        { t: "iss", i: "C", s: "0", d: "C0", ri: "R", dt: "1" },
+        { t: "iss", i: "C", s: "1", d: "C1", p: "C0", ri: "R", dt: "2" }
+    ));
+    const status = i => [credentials.get(i).status, credentials.get(i).date, credentials.get(i).errors];
+    assert.deepEqual(status("A"), [undefined, undefined, ["sn=0 t=rev is not an inception event"]]);
+    assert.deepEqual(status("B"), ["revoked", "2", ["sn=2 t=iss inception event after sn=0", "sn=2 event after revocation"]]);
+    assert.deepEqual(status("C"), ["issued", "1", ["sn=1 t=iss inception event after sn=0"]]);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { CesrSchemaProtocol, getCesrValue, getCesrBinaryValue } from "../docs/assets/common/modules/cesr-schema.js";
+import { encodeCesrValue, encodeCesrBinaryValue } from "../docs/assets/common/modules/cesr-encoder.js";
+import { Base64 } from "../docs/assets/local/modules/base64.js";
+
+const vectors = JSON.parse(await readFile(new URL("../cesr-testvectors/testvectors.json", import.meta.url), "utf-8"));
+
+for (const name of ["Matter", "Counter", "Indexer"]) {
+    const protocol = await CesrSchemaProtocol.load(name);
+    for (const vector of vectors[name]) {
+        test(`${name} ${vector.code} ${vector.qb64.slice(0, 12)}`, () => {
+            for (const value of [getCesrValue(protocol, vector.qb64), getCesrBinaryValue(protocol, Base64.decode(vector.qb64))]) {
+                assert.equal(value.header.selector, vector.code);
+                assert.equal(value.qb64, vector.qb64);
+                assert.equal(value.length, value.binary ? vector.qb64.length * 3 / 4 : vector.qb64.length);
+                if ("digits" in vector) {
+                    // genus/version codes have version digits instead of count
+                    assert.equal(value.header.count ?? Base64.toInt(value.header.version), vector.digits);
+                }
+                if ("index" in vector) {
+                    assert.equal(value.header.index, vector.index);
+                    assert.equal(value.header.ondex, vector.ondex ?? undefined);
+                }
+                if ("raw" in vector) {
+                    assert.deepEqual(value.raw, Base64.decode(vector.raw));
+                }
+            }
+        });
+        test(`${name} ${vector.code} ${vector.qb64.slice(0, 12)} encode`, () => {
+            const params = {
+                raw: "raw" in vector ? Base64.decode(vector.raw) : undefined,
+                count: vector.digits,
+                index: vector.index,
+                ondex: vector.ondex ?? undefined
+            };
+            assert.equal(encodeCesrValue(protocol, vector.code, params).qb64, vector.qb64);
+            assert.equal(encodeCesrBinaryValue(protocol, vector.code, params).qb64, vector.qb64);
+        });
+    }
+}
+
+test("encode code name of many codices", async () => {
+    const protocol = await CesrSchemaProtocol.load("Matter", "Indexer");
+    const raw = new Uint8Array(64);
+    assert.throws(() => encodeCesrValue(protocol, "Ed25519_Sig", { raw: raw, index: 0 }), e => e instanceof TypeError && e.message.includes("Matter 0B, Indexer A"));
+    assert.equal(encodeCesrValue(protocol, "0B", { raw: raw }).header.typeName, "Ed25519_Sig");
+    assert.equal(encodeCesrValue(protocol, "Ed25519", { raw: new Uint8Array(32) }).header.selector, "D");
+});
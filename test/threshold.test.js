@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Fraction, Threshold } from "../docs/assets/local/modules/threshold.js";
+
+test("fraction", () => {
+    assert.equal(Fraction.parse("2/4").toString(), "1/2");
+    assert.equal(Fraction.parse("1/3").add(Fraction.parse("2/3")).toString(), "1");
+    assert.equal(Fraction.parse("1/3").add(Fraction.parse("1/3")).isWhole(), false);
+    assert.throws(() => Fraction.parse("1/0"), TypeError);
+    assert.throws(() => Fraction.parse("3/2"), TypeError);
+    assert.throws(() => Fraction.parse("-1/2"), TypeError);
+});
+
+test("integer threshold", () => {
+    const threshold = new Threshold("2");
+    assert.equal(threshold.weighted, false);
+    assert.equal(threshold.satisfy([0]), false);
+    assert.equal(threshold.satisfy([0, 0]), false);
+    assert.equal(threshold.satisfy([0, 2]), true);
+    assert.equal(threshold.weigh([0]), "1 of 2");
+    assert.equal(new Threshold("a").count, 10);
+    assert.equal(new Threshold(1).count, 1);
+});
+
+test("weighted threshold", () => {
+    const threshold = new Threshold(["1/2", "1/2"]);
+    assert.equal(threshold.weighted, true);
+    assert.equal(threshold.size, 2);
+    assert.equal(threshold.satisfy([1]), false);
+    assert.equal(threshold.satisfy([0, 1]), true);
+    assert.equal(new Threshold(["1/3", "1/3", "1/3", "1/3"]).satisfy([0, 2, 3]), true);
+    assert.equal(new Threshold(["1/3", "1/3", "1/3", "1/3"]).satisfy([0, 2]), false);
+    assert.equal(threshold.toString(), "[1/2,1/2]");
+    assert.equal(threshold.weigh([1]), "1/2 of 1");
+});
+
+test("multi-clause weighted threshold", () => {
+    const threshold = new Threshold([["1/2", "1/2", "1/4"], ["1", "1"]]);
+    assert.equal(threshold.size, 5);
+    assert.equal(threshold.satisfy([0, 1]), false);
+    assert.equal(threshold.satisfy([0, 1, 3]), true);
+    assert.equal(threshold.satisfy([0, 2, 4]), false);
+    assert.equal(threshold.toString(), "[1/2,1/2,1/4],[1,1]");
+    assert.equal(threshold.weigh([0, 2, 4]), "[3/4,1] of [1,1]");
+});
+
+test("invalid threshold", () => {
+    for (const value of [undefined, "", "-1", [], [[]], ["1/2", ["1/2"]], { "1/2": ["1/2"] }]) {
+        assert.throws(() => new Threshold(value), TypeError, JSON.stringify(value));
+    }
+});
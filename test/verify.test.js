@@ -0,0 +1,135 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdir } from "node:fs/promises";
+import { CesrSchemaProtocol } from "../docs/assets/common/modules/cesr-schema.js";
+import { verifySignatures, verifySaids, verifyThresholds } from "../docs/assets/local/modules/decoder-verify.js";
+import { Utf8 } from "../docs/assets/local/modules/utf8.js";
+import { encodeCesrValue } from "../docs/assets/common/modules/cesr-encoder.js";
+import { protocol, samples, readSample, decode } from "./helpers.js";
+
+const matter = await CesrSchemaProtocol.load("Matter");
+const indexer = await CesrSchemaProtocol.load("Indexer");
+const counter = await CesrSchemaProtocol.load("Counter");
+
+/**
+ * @param {Uint8Array} input
+ * @returns {Promise<DecoderNode[]>}
+ */
+async function decodeAndVerify(input) {
+    const { nodes } = decode(input);
+    await verifySignatures(protocol, nodes, input);
+    await verifySaids(protocol, nodes, input);
+    verifyThresholds(nodes);
+    return nodes;
+}
+
+/**
+ * @param {DecoderNode[]} nodes
+ * @returns {DecoderNode[]} signatures marked by verification
+ */
+function getVerified(nodes) {
+    return nodes.flatMap(i => [...(i.verified !== undefined ? [i] : []), ...getVerified(i.children)]);
+}
+
+for (const file of await readdir(samples)) {
+    test(`verify ${file}`, async () => {
+        const input = await readSample(file);
+        const verified = getVerified(await decodeAndVerify(input));
+        assert.notEqual(verified.length, 0);
+        assert.deepEqual(verified.filter(i => !i.verified), []);
+    });
+    test(`verify SAIDs ${file}`, async () => {
+        const input = await readSample(file);
+        const messages = (await decodeAndVerify(input)).filter(i => i.kind === "json");
+        assert.deepEqual(messages.map(i => i.saidVerified), messages.map(() => true));
+    });
+    test(`verify thresholds ${file}`, async () => {
+        const input = await readSample(file);
+        const events = (await decodeAndVerify(input)).filter(i => i.kind === "json" && ["icp", "rot", "ixn", "dip", "drt"].includes(i.value.t));
+        assert.notEqual(events.length, 0);
+        assert.deepEqual(events.map(i => i.thresholdSatisfied), events.map(() => true));
+    });
+}
+
+test("verify modified signature", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const [first] = getVerified(await decodeAndVerify(input));
+    // flip a character in the middle of the first signature
+    input[first.start + 40] = input[first.start + 40] === 0x41 ? 0x42 : 0x41;
+    const [modified] = getVerified(await decodeAndVerify(input));
+    assert.equal(modified.start, first.start);
+    assert.equal(modified.verified, false);
+});
+
+test("verify modified SAID", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const text = Utf8.decode(input);
+    // change the sequence number of the second event
+    const offset = text.indexOf(`"s":"1"`);
+    input[offset + 5] = 0x32;
+    const messages = (await decodeAndVerify(input)).filter(i => i.kind === "json");
+    assert.equal(messages[0].saidVerified, true);
+    assert.equal(messages[1].saidVerified, false);
+});
+
+test("verify threshold with modified signature", async () => {
+    const input = await readSample("qvi-vc.cesr");
+    const [first] = getVerified(await decodeAndVerify(input));
+    input[first.start + 40] = input[first.start + 40] === 0x41 ? 0x42 : 0x41;
+    const [event] = await decodeAndVerify(input);
+    assert.deepEqual(event.value.kt, ["1/2", "1/2"]);
+    assert.equal(event.thresholdSatisfied, false);
+    assert.equal(event.signedWeight, "1/2 of 1");
+});
+
+/**
+ * @returns {Promise<{privateKey: CryptoKey, raw: Uint8Array}>}
+ */
+async function generateKey() {
+    const pair = await crypto.subtle.generateKey({ name: "Ed25519" }, true, ["sign", "verify"]);
+    return { privateKey: pair.privateKey, raw: new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey)) };
+}
+
+/**
+ * @param {object} fields - fields following the version string
+ * @returns {string} KERI JSON message with the size in its version string
+ */
+function keriMessage(fields) {
+    const text = JSON.stringify({ v: "KERI10JSON000000_", ...fields });
+    return text.replace("000000", Utf8.encode(text).length.toString(16).padStart(6, "0"));
+}
+
+/**
+ * @param {CryptoKey} privateKey
+ * @param {string} message
+ * @param {string} group - counter name of the signatures
+ * @returns {Promise<string>} attachments with a signature with index 0
+ */
+async function sign(privateKey, message, group) {
+    const signature = new Uint8Array(await crypto.subtle.sign({ name: "Ed25519" }, privateKey, Utf8.encode(message)));
+    const attachment = encodeCesrValue(counter, group, { count: 1 }).qb64 + encodeCesrValue(indexer, "Ed25519_Sig", { raw: signature, index: 0 }).qb64;
+    return encodeCesrValue(counter, "AttachedMaterialQuadlets", { count: attachment.length / 4 }).qb64 + attachment;
+}
+
+test("verify witness receipt of event", async () => {
+    const controller = await generateKey();
+    const witness = await generateKey();
+    const prefix = encodeCesrValue(matter, "Ed25519", { raw: controller.raw }).qb64;
+    const said = "E" + "A".repeat(43);
+    const icp = keriMessage({
+        t: "icp", d: said, i: prefix, s: "0", kt: "1", k: [prefix], nt: "0", n: [],
+        bt: "1", b: [encodeCesrValue(matter, "Ed25519N", { raw: witness.raw }).qb64], c: [], a: []
+    });
+    const rct = keriMessage({ t: "rct", d: said, i: prefix, s: "0" });
+    const stream = icp + await sign(controller.privateKey, icp, "ControllerIdxSigs") + rct + await sign(witness.privateKey, icp, "WitnessIdxSigs");
+    const verified = getVerified(await decodeAndVerify(Utf8.encode(stream)));
+    assert.deepEqual(verified.map(i => i.verified), [true, true]);
+
+    // a receipt signature of the receipt body does not verify
+    const invalid = icp + await sign(controller.privateKey, icp, "ControllerIdxSigs") + rct + await sign(witness.privateKey, rct, "WitnessIdxSigs");
+    assert.deepEqual(getVerified(await decodeAndVerify(Utf8.encode(invalid))).map(i => i.verified), [true, false]);
+
+    // receipt of an event that is not in the stream is not verified
+    const receiptOnly = rct + await sign(witness.privateKey, icp, "WitnessIdxSigs");
+    assert.deepEqual(getVerified(await decodeAndVerify(Utf8.encode(receiptOnly))), []);
+});